@@ -4,6 +4,8 @@ import {
   Routes,
   Route,
   Navigate,
+  Outlet,
+  useLocation,
   useNavigate,
   useParams,
 } from "react-router-dom";
@@ -14,67 +16,71 @@ import {
   IconButton,
   CssBaseline,
   Snackbar,
-  Alert,
   LinearProgress,
+  Chip,
+  Button,
+  useMediaQuery,
 } from "@mui/material";
-import { Brightness4, Brightness7 } from "@mui/icons-material";
+import { Brightness4, Brightness7, CloudOff } from "@mui/icons-material";
 import { ThemeProvider, createTheme, alpha } from "@mui/material/styles";
 import ConversationList from "./components/conversation-list";
 import ChatWindow from "./components/chat-window";
 import InteractiveEmptyState from "./components/interactive-empty-state";
+import EnvironmentSwitcher from "./components/environment-switcher";
+import LoginScreen from "./components/login-screen";
+import UserMenu from "./components/user-menu";
+import ErrorAlert from "./components/error-alert";
+import SchemaDriftPanel from "./components/schema-drift-panel";
 import logo from "./logo.png";
 import { DataProvider, useData } from "./contexts/data-context";
+import { useChats, useInsights, useMeta } from "./contexts/data-hooks";
+import { AuthProvider } from "./contexts/auth-context";
+import { useAuth } from "./contexts/auth-hooks";
+
+const buildTheme = (darkMode) =>
+  createTheme({
+    palette: {
+      mode: darkMode ? "dark" : "light",
+      success: { main: "#10B981" },
+      info: { main: "#2563EB" },
+      background: {
+        default: darkMode ? "#0B0F14" : "#F7F8FA",
+        paper: darkMode ? "#12171F" : "#FFFFFF",
+      },
+      divider: darkMode ? alpha("#93A1B3", 0.16) : "#E5E7EB",
+      text: {
+        primary: darkMode ? "#E8EDF2" : "#111827",
+        secondary: darkMode ? "#A9B4C2" : "#6B7280",
+      },
+    },
+    shape: { borderRadius: 12 },
+    typography: {
+      fontFamily:
+        '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial',
+      button: { textTransform: "none", fontWeight: 600 },
+      subtitle2: { fontWeight: 600 },
+    },
+    components: {
+      MuiButtonBase: { defaultProps: { disableRipple: true } },
+      MuiListItemButton: { defaultProps: { disableTouchRipple: true } },
+      MuiTab: { defaultProps: { disableRipple: true } },
+      MuiButton: { defaultProps: { disableRipple: true } },
+      MuiIconButton: { defaultProps: { disableRipple: true } },
+      MuiPaper: { styleOverrides: { root: { backgroundImage: "none" } } },
+    },
+  });
 
 function AppShellInner({ threadId }) {
   const [darkMode, setDarkMode] = useState(false);
   const conversationListRef = useRef(null);
   const chatWinRef = useRef(null);
   const navigate = useNavigate();
-  const {
-    chats,
-    insights,
-    createChat,
-    getLatestInsight,
-    isBooting,
-    lastError,
-    clearError,
-  } = useData();
+  const { createChat, getLatestInsight, undoDelete, clearError } = useData();
+  const chats = useChats();
+  const insights = useInsights();
+  const { isBooting, lastError, isCached, pendingDelete } = useMeta();
 
-  const theme = useMemo(
-    () =>
-      createTheme({
-        palette: {
-          mode: darkMode ? "dark" : "light",
-          success: { main: "#10B981" },
-          info: { main: "#2563EB" },
-          background: {
-            default: darkMode ? "#0B0F14" : "#F7F8FA",
-            paper: darkMode ? "#12171F" : "#FFFFFF",
-          },
-          divider: darkMode ? alpha("#93A1B3", 0.16) : "#E5E7EB",
-          text: {
-            primary: darkMode ? "#E8EDF2" : "#111827",
-            secondary: darkMode ? "#A9B4C2" : "#6B7280",
-          },
-        },
-        shape: { borderRadius: 12 },
-        typography: {
-          fontFamily:
-            '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial',
-          button: { textTransform: "none", fontWeight: 600 },
-          subtitle2: { fontWeight: 600 },
-        },
-        components: {
-          MuiButtonBase: { defaultProps: { disableRipple: true } },
-          MuiListItemButton: { defaultProps: { disableTouchRipple: true } },
-          MuiTab: { defaultProps: { disableRipple: true } },
-          MuiButton: { defaultProps: { disableRipple: true } },
-          MuiIconButton: { defaultProps: { disableRipple: true } },
-          MuiPaper: { styleOverrides: { root: { backgroundImage: "none" } } },
-        },
-      }),
-    [darkMode]
-  );
+  const theme = useMemo(() => buildTheme(darkMode), [darkMode]);
 
   const selectedFromUrl = useMemo(() => {
     if (!threadId) return null;
@@ -97,6 +103,18 @@ function AppShellInner({ threadId }) {
 
   const handleOpenChat = (chatData) => navigateTo(chatData.id);
 
+  // the list shows a placeholder row until the server hands back the chat id
+  const startNewChat = async () => {
+    conversationListRef.current?.selectTab("chats");
+    conversationListRef.current?.clearSelection?.();
+    try {
+      const chat = await createChat("New Chat");
+      navigateTo(chat.id);
+    } catch {
+      /* reported through lastError */
+    }
+  };
+
   const leftDefaultTab =
     activeChat?.chatType === "regular" ? "chats" : "insights";
 
@@ -153,9 +171,24 @@ function AppShellInner({ threadId }) {
               </Typography>
             </Box>
           </Box>
-          <IconButton onClick={() => setDarkMode((v) => !v)}>
-            {darkMode ? <Brightness7 /> : <Brightness4 />}
-          </IconButton>
+          <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+            {isCached && (
+              <Chip
+                icon={<CloudOff />}
+                size="small"
+                variant="outlined"
+                color="warning"
+                label="Showing cached data"
+                title="Saved on this device; the server hasn't confirmed it yet"
+                sx={{ fontWeight: 600 }}
+              />
+            )}
+            <EnvironmentSwitcher />
+            <IconButton onClick={() => setDarkMode((v) => !v)}>
+              {darkMode ? <Brightness7 /> : <Brightness4 />}
+            </IconButton>
+            <UserMenu />
+          </Box>
 
           {isBooting && (
             <Box
@@ -228,11 +261,11 @@ function AppShellInner({ threadId }) {
               <ChatWindow
                 ref={chatWinRef}
                 chat={activeChat}
-                onCreateChat={async () => {
+                onCreateChat={startNewChat}
+                onOpenChat={(id) => {
                   conversationListRef.current?.selectTab("chats");
-                  conversationListRef.current?.clearSelection?.();
-                  const chat = await createChat("New Chat");
-                  navigateTo(chat.id);
+                  conversationListRef.current?.setSelected?.("chats", id);
+                  navigateTo(id);
                 }}
                 onBack={() => {
                   lastNonNullRef.current = null;
@@ -243,12 +276,7 @@ function AppShellInner({ threadId }) {
               />
             ) : (
               <InteractiveEmptyState
-                onStartChat={async () => {
-                  conversationListRef.current?.selectTab("chats");
-                  conversationListRef.current?.clearSelection?.();
-                  const chat = await createChat("New Chat");
-                  navigateTo(chat.id);
-                }}
+                onStartChat={startNewChat}
                 onBrowseInsights={() => {
                   conversationListRef.current?.selectTab("insights");
                   const latest = getLatestInsight();
@@ -277,17 +305,32 @@ function AppShellInner({ threadId }) {
           }}
           anchorOrigin={{ vertical: "bottom", horizontal: "center" }}
         >
-          <Alert
-            severity="error"
+          <ErrorAlert
+            error={lastError}
             onClose={() => {
               setErrorOpen(false);
               clearError();
             }}
             sx={{ width: "100%" }}
-          >
-            {lastError}
-          </Alert>
+          />
         </Snackbar>
+        {/* deletes are held back until this closes (see DataService.deleteChat) */}
+        <Snackbar
+          key={pendingDelete?.chatId}
+          open={Boolean(pendingDelete)}
+          anchorOrigin={{ vertical: "bottom", horizontal: "left" }}
+          message={`Deleted “${pendingDelete?.title || "chat"}”`}
+          action={
+            <Button
+              color="inherit"
+              size="small"
+              onClick={() => undoDelete(pendingDelete.chatId)}
+            >
+              Undo
+            </Button>
+          }
+        />
+        <SchemaDriftPanel />
       </Box>
     </ThemeProvider>
   );
@@ -299,17 +342,47 @@ function Routed() {
   return <AppShellInner threadId={id} />;
 }
 
+/* Gate for signed-in routes; remembers where the user was headed. */
+function RequireAuth() {
+  const { isAuthenticated } = useAuth();
+  const location = useLocation();
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+  return (
+    <DataProvider>
+      <Outlet />
+    </DataProvider>
+  );
+}
+
+function LoginRoute() {
+  const { isAuthenticated } = useAuth();
+  const prefersDark = useMediaQuery("(prefers-color-scheme: dark)");
+  const theme = useMemo(() => buildTheme(prefersDark), [prefersDark]);
+  if (isAuthenticated) return <Navigate to="/home" replace />;
+  return (
+    <ThemeProvider theme={theme}>
+      <CssBaseline />
+      <LoginScreen />
+    </ThemeProvider>
+  );
+}
+
 export default function App() {
   return (
     <BrowserRouter>
-      <DataProvider>
+      <AuthProvider>
         <Routes>
-          <Route path="/" element={<Navigate to="/home" replace />} />
-          <Route path="/home" element={<Routed />} />
-          <Route path=":id" element={<Routed />} />
-          <Route path="*" element={<Navigate to="/home" replace />} />
+          <Route path="/login" element={<LoginRoute />} />
+          <Route element={<RequireAuth />}>
+            <Route path="/" element={<Navigate to="/home" replace />} />
+            <Route path="/home" element={<Routed />} />
+            <Route path=":id" element={<Routed />} />
+            <Route path="*" element={<Navigate to="/home" replace />} />
+          </Route>
         </Routes>
-      </DataProvider>
+      </AuthProvider>
     </BrowserRouter>
   );
 }
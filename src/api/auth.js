@@ -0,0 +1,80 @@
+import { httpPost } from "./client";
+
+/**
+ * Auth providers. Each one turns credentials into a session
+ * `{ accessToken, refreshToken, expiresAt, user }` and knows how to refresh
+ * it; the auth service only talks to this interface, so SSO or another
+ * scheme can be plugged in next to these.
+ */
+
+function toSession(raw, previous = null) {
+  const expiresIn = raw?.expires_in == null ? NaN : Number(raw.expires_in);
+  return {
+    accessToken: raw?.access_token || null,
+    refreshToken: raw?.refresh_token || previous?.refreshToken || null,
+    expiresAt: Number.isFinite(expiresIn)
+      ? Date.now() + expiresIn * 1000
+      : null,
+    user: raw?.user
+      ? {
+          id: raw.user.id,
+          name: raw.user.name || raw.user.username || raw.user.email || "",
+          email: raw.user.email || "",
+        }
+      : previous?.user || null,
+  };
+}
+
+/* username/password against the API's /auth endpoints */
+export const passwordProvider = {
+  name: "password",
+  async login({ username, password }) {
+    const raw = await httpPost(
+      "/auth/login",
+      { username, password },
+      { auth: false }
+    );
+    if (!raw?.access_token) throw new Error("Login response had no token");
+    return toSession(raw);
+  },
+  async refresh(session) {
+    if (!session?.refreshToken) return null;
+    const raw = await httpPost(
+      "/auth/refresh",
+      { refresh_token: session.refreshToken },
+      { auth: false }
+    );
+    return raw?.access_token ? toSession(raw, session) : null;
+  },
+  async logout(session) {
+    if (!session?.refreshToken) return;
+    await httpPost(
+      "/auth/logout",
+      { refresh_token: session.refreshToken },
+      { auth: false }
+    );
+  },
+};
+
+/* for backends that run without auth (local dev): always signed in */
+export const anonymousProvider = {
+  name: "none",
+  anonymous: true,
+  async login() {
+    return {
+      accessToken: null,
+      refreshToken: null,
+      expiresAt: null,
+      user: { id: "anonymous", name: "Guest", email: "" },
+    };
+  },
+  async refresh() {
+    return null;
+  },
+  async logout() {},
+};
+
+export const providers = {
+  [passwordProvider.name]: passwordProvider,
+  [anonymousProvider.name]: anonymousProvider,
+};
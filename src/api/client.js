@@ -1,13 +1,178 @@
 import { nowIso } from "../utils/utils";
+import { getApiBase } from "./config";
+import { validateList, validateRecord } from "./schema";
+import * as schemas from "./schemas";
 
-// const API_BASE = "http://localhost:8000/api";
-// const API_BASE = "http://13.203.157.105:8000";
-const API_BASE = "https://luphbes5bzwn2avibfhyq7ng7a0iqjuj.lambda-url.eu-north-1.on.aws/api";
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+/* ---------- error model ---------- */
+
+/**
+ * Base for everything the client throws. `message` is for logs, `userMessage`
+ * is safe to show, `details` keeps the raw server payload for a "details" view.
+ */
+export class ApiError extends Error {
+  constructor(message, { path = "", details = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "ApiError";
+    this.path = path;
+    this.details = details;
+  }
+  get userMessage() {
+    return "Something went wrong. Please try again.";
+  }
+}
+
+// `responded`: the server had already answered when the connection dropped,
+// so the request did reach it
+export class NetworkError extends ApiError {
+  constructor(path, cause, { responded = false } = {}) {
+    super(`${path} network error`, {
+      path,
+      cause,
+      details: cause?.message || null,
+    });
+    this.name = "NetworkError";
+    this.responded = responded;
+  }
+  get userMessage() {
+    return this.responded
+      ? "The connection dropped before the reply finished. Please try again."
+      : "Can’t reach the server. Check your connection and try again.";
+  }
+}
+
+export class TimeoutError extends ApiError {
+  constructor(path) {
+    super(`${path} timed out`, { path });
+    this.name = "TimeoutError";
+  }
+  get userMessage() {
+    return "The server took too long to respond. Please try again.";
+  }
+}
+
+export class AbortError extends ApiError {
+  constructor(path) {
+    super(`${path} aborted`, { path });
+    this.name = "AbortError";
+  }
+  get userMessage() {
+    return "The request was cancelled.";
+  }
+}
 
-function toError(res, path) {
-  const err = new Error(`${path} failed: ${res.status}`);
-  err.status = res.status;
-  return err;
+export class HttpError extends ApiError {
+  constructor(
+    status,
+    { path = "", detail = "", body = null, details, retryAfterMs } = {}
+  ) {
+    super(`${path} failed: ${status}${detail ? ` (${detail})` : ""}`, {
+      path,
+      details,
+    });
+    this.name = "HttpError";
+    this.status = status;
+    this.detail = detail; // server-provided message, if any
+    this.body = body;
+    if (retryAfterMs != null) this.retryAfterMs = retryAfterMs;
+  }
+  get userMessage() {
+    const s = this.status;
+    if (s === 401) return "Your session has expired. Please sign in again.";
+    if (s === 403) return "You don’t have permission to do that.";
+    if (s === 404) return "We couldn’t find that. It may have been deleted.";
+    if (s === 429) return "Too many requests. Please wait a moment and retry.";
+    if (s >= 500) return "The server ran into a problem. Please try again.";
+    return this.detail || "The request couldn’t be completed.";
+  }
+}
+
+/* 422s and other payloads that name the offending fields */
+export class ValidationError extends HttpError {
+  constructor(status, { fieldErrors = [], ...rest } = {}) {
+    super(status, rest);
+    this.name = "ValidationError";
+    this.fieldErrors = fieldErrors; // [{ field, message }]
+  }
+  get userMessage() {
+    const first = this.fieldErrors[0];
+    if (!first) return this.detail || "Some of the input was invalid.";
+    return first.field
+      ? `Invalid ${first.field}: ${first.message}`
+      : first.message;
+  }
+}
+
+/* FastAPI sends `detail` as a string, or as [{ loc, msg, type }] for 422s */
+function parseDetail(body) {
+  const d = body?.detail ?? body?.message ?? body?.error;
+  if (typeof d === "string") return { detail: d, fieldErrors: [] };
+  if (Array.isArray(d)) {
+    const fieldErrors = d.map((e) => ({
+      field: (Array.isArray(e?.loc) ? e.loc : [])
+        .filter((part) => part !== "body" && part !== "query")
+        .join("."),
+      message: e?.msg || String(e),
+    }));
+    return {
+      detail: fieldErrors.map((e) => e.message).join("; "),
+      fieldErrors,
+    };
+  }
+  if (d && typeof d === "object") {
+    return { detail: d.message || d.msg || "", fieldErrors: [] };
+  }
+  return { detail: "", fieldErrors: [] };
+}
+
+// `res` is anything with a status, plus the response text and headers if known
+function toHttpError({ status, headers, text = "" }, path) {
+  let body = null;
+  try {
+    body = text ? JSON.parse(text) : null;
+  } catch {
+    body = null;
+  }
+  const { detail, fieldErrors } = parseDetail(body);
+  const opts = {
+    path,
+    detail,
+    body,
+    details: body ? JSON.stringify(body, null, 2) : text || null,
+    retryAfterMs: parseRetryAfter(headers?.get?.("retry-after")),
+  };
+  return status === 422 || fieldErrors.length
+    ? new ValidationError(status, { ...opts, fieldErrors })
+    : new HttpError(status, opts);
+}
+
+async function toError(res, path) {
+  const text = await res.text().catch(() => "");
+  return toHttpError({ status: res.status, headers: res.headers, text }, path);
+}
+
+/** `{ message, details }` for UI alerts; cancelled requests map to null. */
+export function describeError(err, fallback) {
+  if (!err || isAbortError(err)) return null;
+  if (typeof err === "string") return { message: err, details: null };
+  const message =
+    err.userMessage ||
+    fallback ||
+    err.message ||
+    "Something went wrong. Please try again.";
+  const details =
+    err instanceof ApiError
+      ? [err.message, err.details].filter(Boolean).join("\n\n")
+      : err.message || null;
+  return { message, details: details && details !== message ? details : null };
 }
 
 async function safeJson(res) {
@@ -24,35 +189,378 @@ function normalizePath(path = "") {
   return path.replace(/([^:])\/\/+/, "$1/");
 }
 
-async function _fetch(path, options = {}, { timeoutMs = 60000 } = {}) {
+// forward a caller's AbortSignal into our controller (which owns the timeout)
+function linkSignal(ctrl, signal) {
+  if (!signal) return () => {};
+  if (signal.aborted) {
+    ctrl.abort();
+    return () => {};
+  }
+  const onAbort = () => ctrl.abort();
+  signal.addEventListener("abort", onAbort, { once: true });
+  return () => signal.removeEventListener("abort", onAbort);
+}
+
+// caller aborts become AbortError, our own timeout becomes TimeoutError
+function toAbortError(path, signal) {
+  return signal?.aborted ? new AbortError(path) : new TimeoutError(path);
+}
+
+export const isAbortError = (err) =>
+  err instanceof AbortError || err?.name === "AbortError";
+
+/* ---------- retry policy ---------- */
+
+export const RETRY_POLICY = {
+  maxAttempts: 4,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  // a longer Retry-After is surfaced as an error rather than waited out
+  maxRetryAfterMs: 60000,
+};
+
+const RETRYABLE_STATUS = new Set([502, 503, 504]);
+
+/**
+ * 429 means the server refused before doing any work, so it is always safe to
+ * retry. Gateway errors, timeouts and network failures may have reached the
+ * backend, so they are only retried for idempotent requests.
+ */
+function isRetryable(err, idempotent) {
+  if (isAbortError(err)) return false;
+  if (err?.status === 429) return true;
+  if (!idempotent) return false;
+  return (
+    RETRYABLE_STATUS.has(err?.status) ||
+    err instanceof TimeoutError ||
+    err instanceof NetworkError
+  );
+}
+
+// exponential backoff with full jitter, unless the server told us how long
+function retryDelay(err, attempt, policy) {
+  if (err?.retryAfterMs != null) return err.retryAfterMs;
+  const cap = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * cap);
+}
+
+function sleep(ms, signal, path) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(toAbortError(path, signal));
+    const onAbort = () => {
+      clearTimeout(t);
+      reject(toAbortError(path, signal));
+    };
+    const t = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Runs `run` until it succeeds or the policy gives up. `onRetry` hears about
+ * each wait as `{ attempt, delayMs, until, status, rateLimited }`.
+ */
+async function withRetry(
+  run,
+  { path, idempotent = false, retry = true, signal, onRetry, canRetry }
+) {
+  const policy =
+    retry === false
+      ? { ...RETRY_POLICY, maxAttempts: 1 }
+      : { ...RETRY_POLICY, ...(retry === true ? {} : retry) };
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await run();
+    } catch (err) {
+      const delayMs = retryDelay(err, attempt, policy);
+      const giveUp =
+        attempt >= policy.maxAttempts ||
+        !isRetryable(err, idempotent) ||
+        canRetry?.() === false ||
+        (err?.retryAfterMs != null && delayMs > policy.maxRetryAfterMs);
+      if (giveUp) throw err;
+      onRetry?.({
+        attempt,
+        delayMs,
+        until: Date.now() + delayMs,
+        status: err?.status ?? null,
+        rateLimited: err?.status === 429,
+      });
+      await sleep(delayMs, signal, path);
+    }
+  }
+}
+
+/* ---------- transport (swapped out by the mock backend) ---------- */
+
+let transport = null;
+
+/**
+ * Replaces the network layer: `fetch(url, init)` must resolve a Response and
+ * `upload(url, { body, headers, onProgress })` must resolve `{ status, text }`.
+ * Pass null to go back to the real network.
+ */
+export function configureTransport(next) {
+  transport = next;
+}
+
+const doFetch = (url, init) => (transport?.fetch ?? fetch)(url, init);
+
+/* ---------- auth hooks (wired up by the auth service) ---------- */
+
+let authHooks = {
+  getAccessToken: async () => null,
+  peekAccessToken: () => null,
+  refresh: async () => false,
+  onUnauthorized: () => {},
+};
+
+/**
+ * Lets the auth layer plug into every request without the client importing it:
+ * `getAccessToken()` resolves the bearer token, `refresh()` resolves truthy
+ * when a new token was obtained, `onUnauthorized()` runs on a final 401.
+ * `peekAccessToken()` returns the current token synchronously, unrefreshed,
+ * for requests that can't wait (the page is unloading).
+ */
+export function configureAuth(hooks) {
+  authHooks = { ...authHooks, ...hooks };
+}
+
+async function authHeaders() {
+  const token = await authHooks.getAccessToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// one refresh-and-retry on 401; a second 401 hands control to the auth layer
+async function withAuthRetry(attempt, useAuth) {
+  let res = await attempt(useAuth ? await authHeaders() : {});
+  if (res.status !== 401 || !useAuth) return res;
+  if (await authHooks.refresh()) res = await attempt(await authHeaders());
+  if (res.status === 401) authHooks.onUnauthorized();
+  return res;
+}
+
+async function _request(path, init, signal, useAuth) {
+  const normalizedPath = normalizePath(path);
+  const res = await withAuthRetry(
+    (auth) =>
+      doFetch(`${getApiBase()}${normalizedPath}`, {
+        cache: "no-store",
+        ...init,
+        headers: { ...init.headers, ...auth },
+        signal,
+      }),
+    useAuth
+  );
+  // 304 only comes back to conditional requests, which handle it themselves
+  if (!res.ok && res.status !== 304) throw await toError(res, path);
+  return res;
+}
+
+async function _fetchOnce(
+  path,
+  options,
+  { timeoutMs = 60000, signal, auth, withResponse }
+) {
   const ctrl = new AbortController();
   const to = setTimeout(() => ctrl.abort(), timeoutMs);
+  const unlink = linkSignal(ctrl, signal);
+  let res = null;
   try {
-    const normalizedPath = normalizePath(path);
-    const res = await fetch(`${API_BASE}${normalizedPath}`, {
-      cache: "no-store",
-      ...options,
-      signal: ctrl.signal,
-    });
-    if (!res.ok) throw toError(res, path);
-    return await safeJson(res);
+    res = await _request(path, options, ctrl.signal, auth);
+    const data = res.status === 304 ? null : await safeJson(res);
+    return withResponse
+      ? { data, status: res.status, headers: res.headers }
+      : data;
+  } catch (err) {
+    if (ctrl.signal.aborted) throw toAbortError(path, signal);
+    if (err instanceof ApiError) throw err;
+    throw new NetworkError(path, err, { responded: res != null });
   } finally {
     clearTimeout(to);
+    unlink();
   }
 }
 
+/**
+ * JSON request with timeout, auth and retries. Options: `signal` to cancel,
+ * `idempotent` to allow retrying gateway/network failures, `retry` (false or
+ * a partial RETRY_POLICY), `onRetry` to observe backoff waits, and
+ * `withResponse` to get `{ data, status, headers }` instead of just the data.
+ */
+async function _fetch(
+  path,
+  options = {},
+  {
+    timeoutMs = 60000,
+    signal,
+    auth = true,
+    idempotent = false,
+    retry = true,
+    onRetry,
+    withResponse = false,
+  } = {}
+) {
+  return withRetry(
+    () => _fetchOnce(path, options, { timeoutMs, signal, auth, withResponse }),
+    { path, idempotent, retry, signal, onRetry }
+  );
+}
+
 const jsonHeaders = { "Content-Type": "application/json" };
 
-export async function httpGet(path) {
-  return _fetch(path, { method: "GET" });
+/* ---------- streaming (SSE / NDJSON) ---------- */
+
+function streamFormat(res) {
+  const type = (res.headers.get("content-type") || "").toLowerCase();
+  if (type.includes("text/event-stream")) return "sse";
+  if (type.includes("ndjson") || type.includes("jsonl")) return "ndjson";
+  return null;
 }
-export async function httpPost(path, body) {
-  return _fetch(path, {
-    method: "POST",
-    headers: jsonHeaders,
-    body: JSON.stringify(body ?? {}),
+
+function parseData(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+// SSE block -> { event, data }; multi-line `data:` fields are joined with \n
+function parseSseBlock(block) {
+  let event = "message";
+  const data = [];
+  for (const line of block.split(/\r?\n/)) {
+    if (!line || line.startsWith(":")) continue;
+    const idx = line.indexOf(":");
+    const field = idx === -1 ? line : line.slice(0, idx);
+    const value = idx === -1 ? "" : line.slice(idx + 1).replace(/^ /, "");
+    if (field === "event") event = value;
+    else if (field === "data") data.push(value);
+  }
+  if (!data.length) return null;
+  const raw = data.join("\n");
+  if (raw === "[DONE]") return { event: "done", data: null };
+  return { event, data: parseData(raw) };
+}
+
+async function readFrames(body, format, onFrame, onActivity) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  const sep = format === "sse" ? /\r?\n\r?\n/ : /\r?\n/;
+  let buf = "";
+
+  const emit = (chunk) => {
+    if (!chunk.trim()) return;
+    const frame =
+      format === "sse"
+        ? parseSseBlock(chunk)
+        : { event: "message", data: parseData(chunk) };
+    if (frame) onFrame(frame);
+  };
+
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      onActivity?.();
+      buf += decoder.decode(value, { stream: true });
+      const parts = buf.split(sep);
+      buf = parts.pop();
+      parts.forEach(emit);
+    }
+    buf += decoder.decode();
+    emit(buf);
+  } finally {
+    // a throwing onFrame (an error frame) must not leave the response open
+    reader.cancel().catch(() => {});
+  }
+}
+
+async function _fetchStreamOnce(path, body, { onFrame, timeoutMs, signal }) {
+  const ctrl = new AbortController();
+  let to = setTimeout(() => ctrl.abort(), timeoutMs);
+  const unlink = linkSignal(ctrl, signal);
+  const bump = () => {
+    clearTimeout(to);
+    to = setTimeout(() => ctrl.abort(), timeoutMs);
+  };
+  let res = null;
+  try {
+    const init = {
+      method: "POST",
+      headers: {
+        ...jsonHeaders,
+        Accept: "text/event-stream, application/x-ndjson, application/json",
+      },
+      body: JSON.stringify(body ?? {}),
+    };
+    res = await _request(path, init, ctrl.signal, true);
+    const format = streamFormat(res);
+    if (!format || !res.body) {
+      return { streamed: false, data: await safeJson(res) };
+    }
+    await readFrames(res.body, format, onFrame, bump);
+    return { streamed: true };
+  } catch (err) {
+    if (ctrl.signal.aborted) throw toAbortError(path, signal);
+    if (err instanceof ApiError) throw err;
+    throw new NetworkError(path, err, { responded: res != null });
+  } finally {
+    clearTimeout(to);
+    unlink();
+  }
+}
+
+/**
+ * POST that accepts a streamed body. Each SSE/NDJSON frame is handed to
+ * `onFrame`; the timeout resets whenever bytes arrive so long answers are not
+ * cut off. Returns `{ streamed: true }`, or `{ streamed: false, data }` when
+ * the server answered with plain JSON. Retries never kick in once a frame
+ * has been delivered.
+ */
+async function _fetchStream(
+  path,
+  body,
+  { onFrame, timeoutMs = 60000, signal, idempotent = false, onRetry } = {}
+) {
+  let started = false;
+  const run = () =>
+    _fetchStreamOnce(path, body, {
+      timeoutMs,
+      signal,
+      onFrame: (frame) => {
+        started = true;
+        onFrame(frame);
+      },
+    });
+  return withRetry(run, {
+    path,
+    idempotent,
+    signal,
+    onRetry,
+    canRetry: () => !started,
   });
 }
+
+/* GETs are safe to repeat, so they retry transient failures by default */
+export async function httpGet(path, opts) {
+  return _fetch(path, { method: "GET" }, { idempotent: true, ...opts });
+}
+export async function httpPost(path, body, opts) {
+  return _fetch(
+    path,
+    {
+      method: "POST",
+      headers: jsonHeaders,
+      body: JSON.stringify(body ?? {}),
+    },
+    opts
+  );
+}
 export async function httpPatch(path, body) {
   return _fetch(path, {
     method: "PATCH",
@@ -64,127 +572,404 @@ export async function httpDelete(path) {
   return _fetch(path, { method: "DELETE" });
 }
 
-export async function getInsights() {
-  const raw = await httpGet("/insights");
-  return (Array.isArray(raw) ? raw : []).map((it) => ({
-    id: it.id,
-    title: it.title,
-    updatedAt: it.updatedAt,
-    summary: it.summary,
-    userQuestion: it.user_question,
-    type: it.type,
-    tags: Array.isArray(it.tags) ? it.tags : [],
-  }));
+/* ---------- pagination ---------- */
+
+export const PAGE_SIZE = 30;
+
+function pageQuery({ cursor, limit = PAGE_SIZE } = {}) {
+  const q = new URLSearchParams({ limit: String(limit) });
+  if (cursor != null) q.set("cursor", String(cursor));
+  return q.toString();
+}
+
+// paged lists come as `{ items, next_cursor }`; older servers send an array
+function unwrapPage(raw, endpoint) {
+  if (Array.isArray(raw)) return { items: raw, nextCursor: null };
+  const page = validateRecord(schemas.page, raw, endpoint);
+  return { items: page?.items ?? [], nextCursor: page?.next_cursor ?? null };
+}
+
+// validated insight record -> the shape the UI works with
+const toInsight = (it) => ({
+  id: it.id,
+  title: it.title,
+  updatedAt: it.updatedAt,
+  summary: it.summary,
+  userQuestion: it.user_question,
+  type: it.type,
+  tags: it.tags,
+});
+
+/** Insight records from a list, a page envelope or a single pushed record. */
+export function parseInsights(raw, endpoint = "insights feed") {
+  const list =
+    raw && !Array.isArray(raw) && raw.id != null
+      ? [raw]
+      : unwrapPage(raw, endpoint).items;
+  return validateList(schemas.insight, list, endpoint).map(toInsight);
+}
+
+/**
+ * List endpoints take `{ cursor, limit }` and resolve `{ items, nextCursor }`;
+ * `nextCursor` is null on the last page (or when the server ignores paging).
+ */
+export async function getInsights(page) {
+  const endpoint = "GET /insights";
+  const raw = await httpGet(`/insights?${pageQuery(page)}`);
+  const { items, nextCursor } = unwrapPage(raw, endpoint);
+  const insights = validateList(schemas.insight, items, endpoint).map(
+    toInsight
+  );
+  return { items: insights, nextCursor };
+}
+
+/**
+ * Conditional GET of the first insights page. Pass back the `validators`
+ * (`{ etag, lastModified }`) from the previous call; a 304 resolves
+ * `{ notModified: true }`, anything else the page plus fresh validators.
+ * The headers are only sent for validators the server returned, and a
+ * cross-origin server only returns them if it exposes them (see README).
+ */
+export async function pollInsights(validators = {}, { signal } = {}) {
+  const headers = {};
+  if (validators.etag) headers["If-None-Match"] = validators.etag;
+  if (validators.lastModified)
+    headers["If-Modified-Since"] = validators.lastModified;
+  const res = await _fetch(
+    `/insights?${pageQuery()}`,
+    { method: "GET", headers },
+    { idempotent: true, signal, withResponse: true }
+  );
+  if (res.status === 304) return { notModified: true, validators };
+  return {
+    notModified: false,
+    items: parseInsights(res.data, "GET /insights"),
+    validators: {
+      etag: res.headers.get("etag"),
+      lastModified: res.headers.get("last-modified"),
+    },
+  };
+}
+
+// validated chat record -> the shape the UI works with
+// `parentId` only when the server sent one, so a reply that leaves it out
+// (PATCH) doesn't unlink a branch when patched onto the chat
+const toChat = (it) => ({
+  id: it.chat_id,
+  title: it.title,
+  updatedAt: it.timestamp,
+  lastMessage: it.last_answer,
+  ...(it.parent_id != null && { parentId: it.parent_id }),
+});
+
+// UI messages -> history items, one per answered question
+function toHistory(messages) {
+  const out = [];
+  messages.forEach((m, i) => {
+    const answer = messages[i + 1];
+    if (m.type !== "user" || answer?.type !== "ai") return;
+    out.push({
+      ts: m.createdAt,
+      question: m.content,
+      answer: answer.content,
+      tags: answer.tags ?? [],
+      follow_up_questions: answer.followUps ?? [],
+    });
+  });
+  return out;
 }
 
-export async function listChats() {
-  const raw = await httpGet("/chats/?include_insight=false");
-  return (Array.isArray(raw) ? raw : []).map((it) => ({
-    id: it.chat_id,
-    title: it.title,
-    updatedAt: it.timestamp,
-    lastMessage: it.last_answer,
-  }));
+export async function listChats(page) {
+  const endpoint = "GET /chats/";
+  const raw = await httpGet(`/chats/?include_insight=false&${pageQuery(page)}`);
+  const { items, nextCursor } = unwrapPage(raw, endpoint);
+  const chats = validateList(schemas.chat, items, endpoint).map(toChat);
+  return { items: chats, nextCursor };
 }
 
+/**
+ * A branch passes `parentId` and the `messages` it starts from; they are sent
+ * as `parent_id` and `history`, and the server is expected to echo
+ * `parent_id` on the chat from then on.
+ */
 export async function createChat({
   title = "New Chat",
   starterMessage = "",
+  parentId,
+  messages,
 } = {}) {
-  return httpPost(`/chats/`, { title, starterMessage });
+  const endpoint = "POST /chats/";
+  const body = { title, starterMessage };
+  if (parentId) Object.assign(body, { parent_id: parentId });
+  if (messages) Object.assign(body, { history: toHistory(messages) });
+  const raw = await httpPost(`/chats/`, body);
+  const chat = validateRecord(schemas.chat, raw, endpoint);
+  // without a chat_id there is nothing to navigate to (the drift log says why)
+  if (!chat)
+    throw new ApiError(`${endpoint} returned no chat`, { path: "/chats/" });
+  return toChat(chat);
 }
 
+/** Resolves the updated chat, or null when the server doesn't echo it back. */
 export async function renameChat(chatId, newTitle) {
-  return httpPatch(`/chats/${encodeURIComponent(chatId)}?chat_type=question`, {
-    title: newTitle,
-  });
+  const raw = await httpPatch(
+    `/chats/${encodeURIComponent(chatId)}?chat_type=question`,
+    { title: newTitle }
+  );
+  if (raw == null || typeof raw !== "object") return null;
+  const chat = validateRecord(schemas.chat, raw, "PATCH /chats/:id");
+  return chat ? toChat(chat) : null;
 }
 
+const chatPath = (chatId) =>
+  `/chats/${encodeURIComponent(chatId)}?chat_type=question`;
+
 export async function deleteChat(chatId) {
-  return httpDelete(`/chats/${encodeURIComponent(chatId)}?chat_type=question`);
+  return httpDelete(chatPath(chatId));
+}
+
+/**
+ * `deleteChat` for a page that is going away. The request is started
+ * synchronously with `keepalive`, so the browser delivers it after unload;
+ * there is no token refresh or retry.
+ */
+export async function deleteChatOnUnload(chatId) {
+  const path = chatPath(chatId);
+  const token = authHooks.peekAccessToken();
+  let res;
+  try {
+    res = await doFetch(`${getApiBase()}${normalizePath(path)}`, {
+      method: "DELETE",
+      keepalive: true,
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+    });
+  } catch (err) {
+    throw new NetworkError(path, err);
+  }
+  if (!res.ok) throw await toError(res, path);
 }
 
-export async function listMessages(threadId, chatType) {
+/** Newest page first; `nextCursor` points at the next *older* page. */
+export async function listMessages(threadId, chatType, page) {
   const res = await httpGet(
     `/chats/${encodeURIComponent(threadId)}?chat_type=${encodeURIComponent(
       chatType
-    )}`
+    )}&${pageQuery(page)}`
   );
-  const { chat_id, history = [] } = res || {};
+  const { chat_id, history, next_cursor } = validateRecord(
+    schemas.chatHistory,
+    res,
+    "GET /chats/:id"
+  ) ?? { history: [] };
+  const id = chat_id || threadId;
   const out = [];
-  for (const item of history) {
+  history.forEach((item, i) => {
+    // ids must stay unique across pages even without a ts
+    const key =
+      item.message_id || item.ts || `${page?.cursor ?? "latest"}-idx${i}`;
     out.push(
       {
-        id: `${chat_id}-${item.ts}-q`,
+        id: `${id}-${key}-q`,
         type: "user",
-        content: (item.question || "").trim(),
+        content: item.question.trim(),
         createdAt: item.ts,
       },
       {
-        id: `${chat_id}-${item.ts}-a`,
+        id: `${id}-${key}-a`,
         type: "ai",
-        content: (item.answer || "").trim(),
+        content: item.answer.trim(),
         createdAt: item.ts,
-        tags: item.tags || [],
-        followUps: Array.isArray(item.follow_up_questions)
-          ? item.follow_up_questions
-          : [],
+        tags: item.tags,
+        followUps: item.follow_up_questions,
+        ...(item.message_id && { serverId: item.message_id }),
       }
     );
-  }
-  return out;
+  });
+  return { items: out, nextCursor: next_cursor ?? null };
 }
 
-export async function sendMessage(threadId, question, chatType) {
-  const res = await httpPost(`/search`, {
-    question,
-    chat_type: chatType,
-    chat_id: threadId,
-  });
-  const iso = nowIso();
+function toAiMessage(threadId, raw, iso = nowIso()) {
+  const res = validateRecord(schemas.searchResponse, raw, "POST /search") ?? {
+    answer: "",
+    follow_up_questions: [],
+    title: "",
+    tags: [],
+  };
   return {
     id: `${threadId}-${iso}-a`,
     type: "ai",
-    content: (res?.answer || "").trim(),
+    content: res.answer.trim(),
     createdAt: iso,
-    followUps: Array.isArray(res?.follow_up_questions)
-      ? res.follow_up_questions
-      : [],
-    title: res?.title || "",
-    tags: res?.tags || [],
+    followUps: res.follow_up_questions,
+    title: res.title,
+    tags: res.tags,
+    ...(res.message_id && { serverId: res.message_id }),
   };
 }
 
+const isFinalFrame = ({ event, data }) =>
+  event === "done" ||
+  event === "final" ||
+  data?.done === true ||
+  data?.type === "final" ||
+  data?.type === "done";
+
+// `event: error`, or a payload carrying `error`/`detail` instead of text
+const isErrorFrame = ({ event, data }) =>
+  event === "error" ||
+  (data != null &&
+    typeof data === "object" &&
+    (data.error != null || data.detail != null) &&
+    frameDelta(data) === "");
+
+// the stream has already answered 200, so the frame's own status (if any)
+// says what went wrong; otherwise it was the server's side
+function frameError(data, path) {
+  const body = data && typeof data === "object" ? data : { detail: data };
+  const status = Number.isInteger(body.status) ? body.status : 502;
+  return toHttpError({ status, text: JSON.stringify(body) }, path);
+}
+
+function frameDelta(data) {
+  if (typeof data === "string") return data;
+  return data?.delta ?? data?.token ?? data?.content ?? "";
+}
+
+/**
+ * Asks `/search`. With `onChunk`, the answer is requested as a stream and
+ * `onChunk(delta, textSoFar)` fires per token; follow-ups, title and tags come
+ * in the final frame. Servers that ignore the stream request and reply with
+ * plain JSON are handled exactly like the non-streaming call.
+ * An error frame mid-stream rejects with an HttpError carrying its detail.
+ * Pass `signal` to cancel; the promise then rejects with an AbortError.
+ * Only a 429 is retried unless the caller marks the question `idempotent`;
+ * `onRetry` reports each wait (see withRetry).
+ */
+export async function sendMessage(
+  threadId,
+  question,
+  chatType,
+  { onChunk, signal, idempotent = false, onRetry } = {}
+) {
+  const body = { question, chat_type: chatType, chat_id: threadId };
+  if (!onChunk) {
+    const res = await httpPost(`/search`, body, {
+      signal,
+      idempotent,
+      onRetry,
+    });
+    return toAiMessage(threadId, res);
+  }
+
+  let text = "";
+  let final = null;
+  const { streamed, data } = await _fetchStream(
+    `/search`,
+    { ...body, stream: true },
+    {
+      signal,
+      idempotent,
+      onRetry,
+      onFrame: (frame) => {
+        if (isErrorFrame(frame)) throw frameError(frame.data, "/search");
+        if (isFinalFrame(frame)) {
+          final =
+            frame.data && typeof frame.data === "object" ? frame.data : {};
+          return;
+        }
+        const delta = frameDelta(frame.data);
+        if (!delta) return;
+        text += delta;
+        onChunk(delta, text);
+      },
+    }
+  );
+  if (!streamed) return toAiMessage(threadId, data);
+  // frame bookkeeping isn't part of the answer payload
+  const { done: _done, type: _type, ...rest } = final || {};
+  return toAiMessage(threadId, { ...rest, answer: rest.answer || text });
+}
+
+/**
+ * Rates an answer for evaluation. `rating` is "up" or "down"; `reasons` are
+ * category keys and `comment` free text, both optional. The server keeps the
+ * latest submission per `messageId`, so adding details later just resends.
+ */
+export async function submitFeedback({
+  chatId,
+  messageId,
+  chatType,
+  rating,
+  reasons = [],
+  comment = "",
+  question,
+  answer,
+  tags = [],
+}) {
+  return httpPost(
+    `/feedback`,
+    {
+      chat_id: chatId,
+      message_id: messageId,
+      chat_type: chatType,
+      rating,
+      reasons,
+      comment,
+      question,
+      answer,
+      tags,
+    },
+    { idempotent: true }
+  );
+}
+
 export async function uploadDocument(chatId, file, onProgress) {
   const path = `/upload/?chat_id=${encodeURIComponent(chatId)}`;
-  const url = `${API_BASE}${path}`;
+  const url = `${getApiBase()}${path}`;
   const form = new FormData();
   form.append("file", file);
 
-  return new Promise((resolve, reject) => {
-    const xhr = new XMLHttpRequest();
+  const send = (auth) =>
+    transport?.upload
+      ? transport.upload(url, { body: form, headers: auth, onProgress })
+      : xhrUpload(auth);
+  const xhrUpload = (auth) =>
+    new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
 
-    xhr.upload.onprogress = (evt) => {
-      if (!evt.lengthComputable) return;
-      const pct = Math.round((evt.loaded / evt.total) * 100);
-      onProgress?.(pct);
-    };
+      xhr.upload.onprogress = (evt) => {
+        if (!evt.lengthComputable) return;
+        const pct = Math.round((evt.loaded / evt.total) * 100);
+        onProgress?.(pct);
+      };
 
-    xhr.onload = () => {
-      const ok = xhr.status >= 200 && xhr.status < 300;
-      if (!ok) return reject(toError({ status: xhr.status }, path));
-      try {
-        const json = xhr.responseText ? JSON.parse(xhr.responseText) : null;
-        resolve(json);
-      } catch {
-        resolve(null);
-      }
-    };
+      // settle with the status so a 401 can be refreshed and re-sent
+      xhr.onload = () =>
+        resolve({
+          status: xhr.status,
+          text: xhr.responseText,
+          retryAfter: xhr.getResponseHeader("Retry-After"),
+        });
 
-    xhr.onerror = () => reject(new Error(`${path} network error`));
-    xhr.onabort = () => reject(new Error(`${path} aborted`));
+      xhr.onerror = () => reject(new NetworkError(path));
+      xhr.onabort = () => reject(new AbortError(path));
 
-    xhr.open("POST", url);
-    xhr.send(form);
-  });
+      xhr.open("POST", url);
+      for (const [k, v] of Object.entries(auth)) xhr.setRequestHeader(k, v);
+      xhr.send(form);
+    });
+
+  const res = await withAuthRetry(send, true);
+  const ok = res.status >= 200 && res.status < 300;
+  if (!ok) {
+    const headers = new Headers(
+      res.retryAfter ? { "Retry-After": res.retryAfter } : {}
+    );
+    throw toHttpError({ ...res, headers }, path);
+  }
+  try {
+    return res.text ? JSON.parse(res.text) : null;
+  } catch {
+    return null;
+  }
 }
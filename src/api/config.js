@@ -0,0 +1,193 @@
+/**
+ * API base URL resolution. Highest priority first:
+ *   1. environment picked in the dev switcher (persisted, dev builds only)
+ *   2. Vite env: VITE_API_BASE, or VITE_API_ENV naming one of the environments
+ *   3. runtime /config.json served next to index.html
+ *   4. built-in production default
+ */
+
+const STORAGE_KEY = "insight-chat:api-env";
+const MOCK_KEY = "insight-chat:mock";
+
+const DEFAULT_ENVIRONMENTS = {
+  production: {
+    label: "Production",
+    apiBase:
+      "https://luphbes5bzwn2avibfhyq7ng7a0iqjuj.lambda-url.eu-north-1.on.aws/api",
+  },
+  staging: { label: "Staging", apiBase: "http://13.203.157.105:8000" },
+  local: { label: "Local", apiBase: "http://localhost:8000/api" },
+};
+
+const defaults = () => ({
+  environments: { ...DEFAULT_ENVIRONMENTS },
+  name: "production",
+  apiBase: DEFAULT_ENVIRONMENTS.production.apiBase,
+  source: "default",
+  authProvider: "password",
+  mock: null,
+  insightsFeed: { mode: "poll", intervalMs: 60 * 1000, path: null },
+});
+
+const state = defaults();
+
+const stripSlash = (url = "") => url.replace(/\/+$/, "");
+
+function readStoredEnv() {
+  try {
+    return localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+async function fetchRuntimeConfig() {
+  try {
+    const res = await fetch(`${import.meta.env.BASE_URL}config.json`, {
+      cache: "no-store",
+    });
+    if (!res.ok) return null;
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Mock backend switch: VITE_USE_MOCK=true, or `?mock` in the URL (kept for
+ * the tab's session so client-side navigation doesn't drop it; `?mock=0`
+ * turns it off). `mockLatency` / `mockErrorRate` tune the simulation.
+ */
+function readMockConfig() {
+  const params = new URLSearchParams(window.location.search);
+  let stored = null;
+  try {
+    if (params.has("mock")) {
+      const off = ["0", "false", "off"].includes(params.get("mock"));
+      if (off) sessionStorage.removeItem(MOCK_KEY);
+      else
+        sessionStorage.setItem(
+          MOCK_KEY,
+          JSON.stringify({
+            latencyMs: params.get("mockLatency"),
+            errorRate: params.get("mockErrorRate"),
+          })
+        );
+    }
+    stored = JSON.parse(sessionStorage.getItem(MOCK_KEY) || "null");
+  } catch {
+    stored = params.has("mock") ? {} : null;
+  }
+  const fromEnv = import.meta.env.VITE_USE_MOCK === "true";
+  if (!stored && !fromEnv) return null;
+  const num = (v, fallback) =>
+    v == null || v === "" || Number.isNaN(Number(v)) ? fallback : Number(v);
+  return {
+    latencyMs: num(stored?.latencyMs, 400),
+    errorRate: num(stored?.errorRate, 0),
+  };
+}
+
+function applyEnv(name, apiBase, source) {
+  state.name = name;
+  state.apiBase = stripSlash(apiBase);
+  state.source = source;
+}
+
+/** Resolve the base URL once at startup, before the first API call. */
+export async function loadApiConfig() {
+  const runtime = await fetchRuntimeConfig();
+  if (runtime?.environments && typeof runtime.environments === "object") {
+    state.environments = { ...state.environments, ...runtime.environments };
+  }
+  const envs = state.environments;
+
+  if (runtime?.apiBase) {
+    applyEnv(runtime.environment || "custom", runtime.apiBase, "config.json");
+  } else if (envs[runtime?.environment]) {
+    const { environment } = runtime;
+    applyEnv(environment, envs[environment].apiBase, "config.json");
+  }
+
+  const viteBase = import.meta.env.VITE_API_BASE;
+  const viteEnv = import.meta.env.VITE_API_ENV;
+  if (viteBase) applyEnv(viteEnv || "custom", viteBase, "env");
+  else if (envs[viteEnv]) applyEnv(viteEnv, envs[viteEnv].apiBase, "env");
+
+  const authProvider =
+    import.meta.env.VITE_AUTH_PROVIDER || runtime?.auth?.provider;
+  if (authProvider) state.authProvider = authProvider;
+
+  state.mock = readMockConfig();
+
+  // how new insights arrive: `config.json` "insights", or VITE_INSIGHTS_FEED*
+  const feed = runtime?.insights || {};
+  state.insightsFeed = {
+    mode: import.meta.env.VITE_INSIGHTS_FEED || feed.feed || "poll",
+    intervalMs:
+      Number(import.meta.env.VITE_INSIGHTS_POLL_MS || feed.intervalMs) ||
+      state.insightsFeed.intervalMs,
+    path: import.meta.env.VITE_INSIGHTS_FEED_PATH || feed.path || null,
+  };
+
+  const stored = readStoredEnv();
+  if (import.meta.env.DEV && envs[stored]) {
+    applyEnv(stored, envs[stored].apiBase, "switcher");
+  }
+  return getApiConfig();
+}
+
+/** Back to the built-in defaults, e.g. when startup failed half-way. */
+export function resetApiConfig() {
+  Object.assign(state, defaults());
+  return getApiConfig();
+}
+
+export function getApiBase() {
+  return state.apiBase;
+}
+
+export function getApiConfig() {
+  const env = state.environments[state.name];
+  return {
+    name: state.name,
+    label: env?.label || state.name,
+    apiBase: state.apiBase,
+    source: state.source,
+    isProduction: state.name === "production",
+    mock: Boolean(state.mock),
+    environments: Object.entries(state.environments).map(([name, e]) => ({
+      name,
+      label: e.label || name,
+      apiBase: stripSlash(e.apiBase),
+    })),
+  };
+}
+
+/** `{ latencyMs, errorRate }` when the mock backend is on, else null. */
+export function getMockConfig() {
+  return state.mock;
+}
+
+/** Name of the auth provider to plug in: "password" (default) or "none". */
+export function getAuthProviderName() {
+  return state.authProvider;
+}
+
+/**
+ * `{ mode, intervalMs, path }` for the insights refresh: mode "poll"
+ * (default), "sse" or "ws"; `path` is the push endpoint under the API base.
+ */
+export function getInsightsFeedConfig() {
+  return state.insightsFeed;
+}
+
+/** Persist a dev override; callers reload so every request uses the new base. */
+export function setApiEnvironment(name) {
+  try {
+    if (name) localStorage.setItem(STORAGE_KEY, name);
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    /* storage unavailable — the choice just won't survive a reload */
+  }
+}
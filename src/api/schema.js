@@ -0,0 +1,196 @@
+/**
+ * Minimal declarative schemas for API payloads. `validateRecord` never throws:
+ * it fills per-field defaults, follows known renames (`aliases`) and reports
+ * every deviation as drift, so a backend change degrades the UI instead of
+ * blanking it.
+ *
+ *   const chat = { id: field("string", { required: true }), ... };
+ *
+ * Field options: `required` (drop the record without it), `default`,
+ * `aliases` (older/newer names), `optional` (absence is not drift),
+ * `of` (item type or schema for arrays), `shape` (schema for objects).
+ */
+
+export const field = (type, opts = {}) => ({ type, ...opts });
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === "string",
+  number: (v) => typeof v === "number" && Number.isFinite(v),
+  boolean: (v) => typeof v === "boolean",
+  date: (v) =>
+    (typeof v === "string" || typeof v === "number") &&
+    !Number.isNaN(new Date(v).getTime()),
+  // opaque pagination token; servers use strings or numeric offsets
+  cursor: (v) =>
+    typeof v === "string" || (typeof v === "number" && Number.isFinite(v)),
+  array: Array.isArray,
+  object: (v) => v != null && typeof v === "object" && !Array.isArray(v),
+};
+
+const typeOf = (v) =>
+  v === null ? "null" : Array.isArray(v) ? "array" : typeof v;
+const fallback = (spec) =>
+  typeof spec.default === "function" ? spec.default() : spec.default ?? null;
+
+/* ---------- drift reporting ---------- */
+
+const driftLog = new Map(); // key -> issue, so repeats only bump `count`
+const driftListeners = new Set();
+
+function report(issue) {
+  const key = `${issue.endpoint}|${issue.field}|${issue.problem}`;
+  const prev = driftLog.get(key);
+  const entry = prev
+    ? { ...prev, count: prev.count + 1, lastSeen: Date.now() }
+    : { ...issue, key, count: 1, firstSeen: Date.now(), lastSeen: Date.now() };
+  driftLog.set(key, entry);
+  if (!prev && import.meta.env.DEV) {
+    console.warn(
+      `[schema] ${issue.endpoint} ${issue.field}: ${issue.problem}`,
+      issue
+    );
+  }
+  for (const fn of driftListeners) fn(entry, getDriftLog());
+}
+
+/** Telemetry hook: `fn(issue, allIssues)` runs for every reported deviation. */
+export function onSchemaDrift(fn) {
+  driftListeners.add(fn);
+  return () => driftListeners.delete(fn);
+}
+
+export function getDriftLog() {
+  return [...driftLog.values()].sort((a, b) => b.lastSeen - a.lastSeen);
+}
+
+export function clearDriftLog() {
+  driftLog.clear();
+  for (const fn of driftListeners) fn(null, []);
+}
+
+/* ---------- validation ---------- */
+
+function validateValue(spec, value, endpoint, path) {
+  if (spec.type === "array" && spec.of) {
+    return validateItems(spec.of, value, endpoint, path);
+  }
+  if (spec.type === "object" && spec.shape) {
+    return validateRecord(spec.shape, value, endpoint, path) ?? fallback(spec);
+  }
+  return value;
+}
+
+// `of` is a type name for primitive items or a schema for records
+function validateItems(of, items, endpoint, path) {
+  const itemPath = `${path}[]`;
+  const out = [];
+  for (const item of items) {
+    if (typeof of === "string") {
+      if (TYPE_CHECKS[of](item)) out.push(item);
+      else
+        report({
+          endpoint,
+          field: itemPath,
+          problem: "type",
+          expected: of,
+          received: typeOf(item),
+        });
+      continue;
+    }
+    const rec = validateRecord(of, item, endpoint, itemPath);
+    if (rec) out.push(rec);
+  }
+  return out;
+}
+
+/**
+ * Returns a record with exactly the schema's keys, or null when a `required`
+ * field is missing or unusable (the caller drops that record).
+ */
+export function validateRecord(schema, raw, endpoint, prefix = "") {
+  if (!TYPE_CHECKS.object(raw)) {
+    report({
+      endpoint,
+      field: prefix || "(root)",
+      problem: "type",
+      expected: "object",
+      received: typeOf(raw),
+    });
+    return null;
+  }
+
+  const out = {};
+  for (const [key, spec] of Object.entries(schema)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    let value = raw[key];
+
+    if (value === undefined && spec.aliases) {
+      const alias = spec.aliases.find((a) => raw[a] !== undefined);
+      if (alias) {
+        value = raw[alias];
+        report({ endpoint, field: path, problem: "renamed", received: alias });
+      }
+    }
+
+    if (value == null) {
+      if ((value === undefined && !spec.optional) || spec.required) {
+        report({
+          endpoint,
+          field: path,
+          problem: spec.required ? "dropped" : "missing",
+          expected: spec.type,
+          received: typeOf(value),
+        });
+      }
+      if (spec.required) return null;
+      out[key] = fallback(spec);
+      continue;
+    }
+
+    if (!TYPE_CHECKS[spec.type](value)) {
+      report({
+        endpoint,
+        field: path,
+        problem: spec.required ? "dropped" : "type",
+        expected: spec.type,
+        received: typeOf(value),
+      });
+      if (spec.required) return null;
+      out[key] = fallback(spec);
+      continue;
+    }
+
+    out[key] = validateValue(spec, value, endpoint, path);
+  }
+
+  // fields the schema doesn't know are often the other half of a rename
+  for (const key of Object.keys(raw)) {
+    const known = Object.entries(schema).some(
+      ([k, spec]) => k === key || spec.aliases?.includes(key)
+    );
+    if (!known) {
+      report({
+        endpoint,
+        field: prefix ? `${prefix}.${key}` : key,
+        problem: "unexpected",
+        received: typeOf(raw[key]),
+      });
+    }
+  }
+  return out;
+}
+
+/** Validates a list payload; anything but an array degrades to []. */
+export function validateList(schema, raw, endpoint) {
+  if (!Array.isArray(raw)) {
+    report({
+      endpoint,
+      field: "(root)",
+      problem: "type",
+      expected: "array",
+      received: typeOf(raw),
+    });
+    return [];
+  }
+  return validateItems(schema, raw, endpoint, "");
+}
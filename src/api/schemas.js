@@ -0,0 +1,104 @@
+import { field } from "./schema";
+
+/* Response schemas per endpoint, in wire format. Defaults are what the UI
+ * falls back to when a field is missing or has the wrong type. */
+
+export const sourceTag = {
+  // lets answers cite a source as [^id] instead of by position
+  id: field("string", { optional: true, aliases: ["doc_id", "source_id"] }),
+  name: field("string", { default: "Source", aliases: ["title", "filename"] }),
+  file_url: field("string", { default: "", aliases: ["url", "fileUrl"] }),
+  snippet: field("string", {
+    optional: true,
+    default: "",
+    aliases: ["excerpt", "text"],
+  }),
+  // 1-based page the answer draws on; the preview opens PDFs there
+  page: field("number", {
+    optional: true,
+    aliases: ["page_number", "pageNumber"],
+  }),
+};
+
+export const insight = {
+  id: field("string", { required: true, aliases: ["insight_id"] }),
+  title: field("string", { default: "Untitled insight" }),
+  updatedAt: field("date", {
+    default: "",
+    aliases: ["updated_at", "timestamp"],
+  }),
+  summary: field("string", { default: "" }),
+  user_question: field("string", {
+    default: "",
+    aliases: ["userQuestion", "question"],
+  }),
+  // only some endpoints say what kind of source the insight came from
+  type: field("string", { optional: true }),
+  tags: field("array", { of: "string", default: () => [] }),
+};
+
+export const chat = {
+  chat_id: field("string", { required: true, aliases: ["id", "chatId"] }),
+  title: field("string", { default: "Untitled chat" }),
+  timestamp: field("date", {
+    default: "",
+    aliases: ["updated_at", "updatedAt"],
+  }),
+  last_answer: field("string", {
+    default: "",
+    aliases: ["last_message", "lastMessage"],
+  }),
+  // set on chats branched from another chat or insight thread
+  parent_id: field("string", {
+    optional: true,
+    aliases: ["parentId", "parent_chat_id"],
+  }),
+};
+
+export const historyItem = {
+  ts: field("date", { default: "", aliases: ["timestamp", "created_at"] }),
+  // the answer's id on the server, for feedback
+  message_id: field("string", {
+    optional: true,
+    aliases: ["messageId", "answer_id"],
+  }),
+  question: field("string", { default: "", aliases: ["user_question"] }),
+  answer: field("string", { default: "" }),
+  tags: field("array", { of: sourceTag, default: () => [] }),
+  follow_up_questions: field("array", {
+    of: "string",
+    default: () => [],
+    aliases: ["follow_ups", "followUps"],
+  }),
+};
+
+export const chatHistory = {
+  chat_id: field("string", { aliases: ["id"] }),
+  history: field("array", { of: historyItem, default: () => [] }),
+  // cursor for the next *older* page; absent when the server doesn't paginate
+  next_cursor: field("cursor", { optional: true, aliases: ["nextCursor"] }),
+};
+
+/* `{ items, next_cursor }` wrapper around paginated lists */
+export const page = {
+  items: field("array", {
+    default: () => [],
+    aliases: ["data", "results"],
+  }),
+  next_cursor: field("cursor", { optional: true, aliases: ["nextCursor"] }),
+};
+
+export const searchResponse = {
+  answer: field("string", { default: "", aliases: ["response", "content"] }),
+  follow_up_questions: field("array", {
+    of: "string",
+    default: () => [],
+    aliases: ["follow_ups", "followUps"],
+  }),
+  title: field("string", { default: "" }),
+  tags: field("array", { of: sourceTag, default: () => [] }),
+  message_id: field("string", {
+    optional: true,
+    aliases: ["messageId", "answer_id"],
+  }),
+};
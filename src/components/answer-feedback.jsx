@@ -0,0 +1,173 @@
+import { useState } from "react";
+import {
+  Box,
+  Button,
+  Chip,
+  IconButton,
+  Popover,
+  TextField,
+  Tooltip,
+  Typography,
+} from "@mui/material";
+import {
+  ThumbUp,
+  ThumbUpOutlined,
+  ThumbDown,
+  ThumbDownOutlined,
+} from "@mui/icons-material";
+
+// reason categories per rating; the keys are what the backend receives
+const REASONS = {
+  up: [
+    ["accurate", "Accurate"],
+    ["complete", "Complete"],
+    ["good_sources", "Good sources"],
+    ["clear", "Clear"],
+  ],
+  down: [
+    ["incorrect", "Incorrect"],
+    ["incomplete", "Incomplete"],
+    ["wrong_sources", "Wrong or missing sources"],
+    ["outdated", "Outdated"],
+    ["unclear", "Hard to follow"],
+    ["other", "Other"],
+  ],
+};
+
+/**
+ * Thumbs up/down for an answer. A click records the rating straight away and
+ * opens a popover where reasons and a comment can be added and resent.
+ * `feedback` is the answer's stored `{ rating, reasons, comment, status }`.
+ */
+export default function AnswerFeedback({ feedback, disabled, onSubmit }) {
+  const [anchor, setAnchor] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const rating = feedback?.rating;
+  const failed = feedback?.status === "failed";
+
+  // a new rating is sent at once; the same one again reopens its details
+  const rate = (e, value) => {
+    const keepDetails = rating === value;
+    const next = {
+      rating: value,
+      reasons: keepDetails ? feedback.reasons : [],
+      comment: keepDetails ? feedback.comment : "",
+    };
+    setAnchor(e.currentTarget);
+    setDraft(next);
+    if (!keepDetails || failed) onSubmit(next).catch(() => {});
+  };
+  const close = () => {
+    setAnchor(null);
+    setDraft(null);
+  };
+  const toggleReason = (key) =>
+    setDraft((d) => ({
+      ...d,
+      reasons: d.reasons.includes(key)
+        ? d.reasons.filter((r) => r !== key)
+        : [...d.reasons, key],
+    }));
+  const sendDetails = () => {
+    onSubmit(draft).catch(() => {});
+    close();
+  };
+
+  return (
+    <>
+      <Tooltip title={failed ? "Not sent, click to retry" : "Good answer"}>
+        <span>
+          <IconButton
+            size="small"
+            aria-label="Good answer"
+            aria-pressed={rating === "up"}
+            disabled={disabled}
+            color={rating === "up" ? (failed ? "error" : "success") : "default"}
+            onClick={(e) => rate(e, "up")}
+          >
+            {rating === "up" ? (
+              <ThumbUp sx={{ fontSize: 16 }} />
+            ) : (
+              <ThumbUpOutlined sx={{ fontSize: 16 }} />
+            )}
+          </IconButton>
+        </span>
+      </Tooltip>
+      <Tooltip title={failed ? "Not sent, click to retry" : "Bad answer"}>
+        <span>
+          <IconButton
+            size="small"
+            aria-label="Bad answer"
+            aria-pressed={rating === "down"}
+            disabled={disabled}
+            color={rating === "down" ? "error" : "default"}
+            onClick={(e) => rate(e, "down")}
+          >
+            {rating === "down" ? (
+              <ThumbDown sx={{ fontSize: 16 }} />
+            ) : (
+              <ThumbDownOutlined sx={{ fontSize: 16 }} />
+            )}
+          </IconButton>
+        </span>
+      </Tooltip>
+
+      <Popover
+        open={Boolean(anchor && draft)}
+        anchorEl={anchor}
+        onClose={close}
+        anchorOrigin={{ vertical: "bottom", horizontal: "left" }}
+        slotProps={{ paper: { sx: { p: 2, width: 320, borderRadius: 2 } } }}
+      >
+        {draft && (
+          <Box sx={{ display: "flex", flexDirection: "column", gap: 1.25 }}>
+            <Typography variant="subtitle2">
+              {draft.rating === "up"
+                ? "What was good about it?"
+                : "What went wrong?"}
+            </Typography>
+            <Box sx={{ display: "flex", flexWrap: "wrap", gap: 0.75 }}>
+              {REASONS[draft.rating].map(([key, label]) => {
+                const on = draft.reasons.includes(key);
+                return (
+                  <Chip
+                    key={key}
+                    label={label}
+                    size="small"
+                    clickable
+                    color={on ? "primary" : "default"}
+                    variant={on ? "filled" : "outlined"}
+                    onClick={() => toggleReason(key)}
+                  />
+                );
+              })}
+            </Box>
+            <TextField
+              multiline
+              minRows={2}
+              maxRows={6}
+              size="small"
+              placeholder="Anything else? (optional)"
+              value={draft.comment}
+              onChange={(e) => setDraft({ ...draft, comment: e.target.value })}
+            />
+            <Box sx={{ display: "flex", justifyContent: "flex-end", gap: 1 }}>
+              <Button size="small" onClick={close}>
+                Skip
+              </Button>
+              <Button
+                size="small"
+                variant="contained"
+                disableElevation
+                disabled={!draft.reasons.length && !draft.comment.trim()}
+                onClick={sendDetails}
+              >
+                Send feedback
+              </Button>
+            </Box>
+          </Box>
+        )}
+      </Popover>
+    </>
+  );
+}
@@ -1,5 +1,6 @@
 import {
   useEffect,
+  useLayoutEffect,
   useMemo,
   useRef,
   useState,
@@ -23,16 +24,27 @@ import {
   Button,
   LinearProgress,
   Alert,
+  CircularProgress,
 } from "@mui/material";
 import {
   ArrowBack,
   Send,
+  Stop,
   SmartToy,
   Person,
   FiberManualRecord,
   UploadFile,
+  History,
+  CloudOff,
+  Replay,
+  Edit,
+  Autorenew,
+  ChevronLeft,
+  ChevronRight,
+  CallSplit,
 } from "@mui/icons-material";
 import { alpha } from "@mui/material/styles";
+import { keyframes } from "@mui/system";
 import ThinkingIndicator from "./thinking-indicator";
 import {
   CHAT_SUGGESTIONS,
@@ -43,9 +55,26 @@ import {
   formatTime,
 } from "../utils/utils";
 import { useData } from "../contexts/data-context";
+import {
+  useIsUnread,
+  useThreadMessages,
+  useThreadPage,
+} from "../contexts/data-hooks";
+import { describeError } from "../api/client";
+import ErrorAlert from "./error-alert";
 import ChipList from "./chip-list";
+import AnswerFeedback from "./answer-feedback";
+import DocumentPreview from "./document-preview";
+import {
+  CodeBlock,
+  InlineCode,
+  MarkdownHeading,
+  MarkdownLink,
+  MarkdownTable,
+} from "./markdown-blocks";
 import ReactMarkdown from "react-markdown";
 import remarkGfm from "remark-gfm";
+import { citedIndexes, remarkCitations } from "../utils/citations";
 
 /* chips for docs */
 function DocChip({ doc, inverted = false }) {
@@ -73,6 +102,12 @@ function DocChip({ doc, inverted = false }) {
   );
 }
 
+// friendly error text prefixed with what the user was doing
+function errorFor(err, action) {
+  const d = describeError(err);
+  return d && { ...d, message: `${action} ${d.message}` };
+}
+
 function DateDivider({ label }) {
   return (
     <Box sx={{ display: "flex", alignItems: "center", gap: 2, my: 1.5 }}>
@@ -89,7 +124,182 @@ function DateDivider({ label }) {
   );
 }
 
-function MessageBubble({ m, isInsight }) {
+const blink = keyframes`
+  0%, 50% { opacity: 1; }
+  50.01%, 100% { opacity: 0; }
+`;
+
+/* caret shown at the end of an answer that is still streaming in */
+function StreamingCaret({ color }) {
+  return (
+    <Box
+      component="span"
+      aria-hidden
+      sx={{
+        display: "inline-block",
+        width: 8,
+        height: "1em",
+        ml: 0.25,
+        verticalAlign: "text-bottom",
+        bgcolor: color,
+        animation: `${blink} 1s step-end infinite`,
+      }}
+    />
+  );
+}
+
+const sourceAnchor = (messageId, index) => `source-${messageId}-${index}`;
+
+// a plain click previews the file in place; modified clicks keep the browser's
+// new-tab/download behaviour
+const previewClick = (tag, onOpen) => (e) => {
+  if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey || e.button !== 0)
+    return;
+  e.preventDefault();
+  onOpen(tag);
+};
+
+// superscript [n] in an answer; hover for the source, click to reach its chip
+// (and preview the file when there is one)
+function CitationMarker({ messageId, index, tag, color, onOpenSource }) {
+  const jump = (e) => {
+    e.preventDefault();
+    const chip = document.getElementById(sourceAnchor(messageId, index));
+    chip?.scrollIntoView({ behavior: "smooth", block: "nearest" });
+    chip?.focus({ preventScroll: true });
+    if (tag.file_url) onOpenSource(tag);
+  };
+  return (
+    <Tooltip
+      arrow
+      placement="top"
+      title={
+        <Box sx={{ maxWidth: 280 }}>
+          <Typography variant="caption" sx={{ fontWeight: 700 }}>
+            {tag.name}
+          </Typography>
+          {tag.snippet && (
+            <Typography
+              variant="caption"
+              component="p"
+              sx={{ mt: 0.5, opacity: 0.85 }}
+            >
+              “{tag.snippet}”
+            </Typography>
+          )}
+        </Box>
+      }
+    >
+      <Box
+        component="a"
+        href={`#${sourceAnchor(messageId, index)}`}
+        onClick={jump}
+        aria-label={`Source ${index + 1}: ${tag.name}`}
+        sx={{
+          color,
+          fontWeight: 700,
+          textDecoration: "none",
+          px: 0.25,
+          "&:hover": { textDecoration: "underline" },
+        }}
+      >
+        [{index + 1}]
+      </Box>
+    </Tooltip>
+  );
+}
+
+function SourceChip({ tag, label, id, onOpen }) {
+  return (
+    <Chip
+      id={id}
+      tabIndex={id ? -1 : undefined}
+      label={tag.page != null ? `${label}, p. ${tag.page}` : label}
+      size="small"
+      variant="outlined"
+      component={tag.file_url ? "a" : "div"}
+      href={tag.file_url || undefined}
+      target={tag.file_url ? "_blank" : undefined}
+      rel={tag.file_url ? "noopener noreferrer" : undefined}
+      onClick={tag.file_url ? previewClick(tag, onOpen) : undefined}
+      clickable={!!tag.file_url}
+      sx={{
+        fontSize: "0.7rem",
+        color: "text.secondary",
+        borderColor: "divider",
+        bgcolor: (t) =>
+          t.palette.mode === "dark" ? "rgba(255,255,255,0.05)" : "#F9FAFB",
+        "& .MuiChip-label": {
+          px: 0.75,
+          whiteSpace: "normal", // allow multi-line chip text too
+          wordBreak: "break-word",
+          overflowWrap: "anywhere",
+        },
+        height: "auto", // let chip grow vertically
+        alignItems: "flex-start",
+        "&:focus": { outline: "2px solid", outlineColor: "primary.main" },
+      }}
+    />
+  );
+}
+
+// cited sources carry their [n] number; uncited ones follow under their own
+// label (an answer without markers just lists its sources)
+function SourceChips({ messageId, tags, cited, onOpenSource }) {
+  const citedSet = new Set(cited);
+  const unused = tags.map((_, i) => i).filter((i) => !citedSet.has(i));
+  const row = {
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "center",
+    gap: 0.75,
+  };
+  return (
+    <Box
+      sx={{
+        // xs: put chips on the next row full-width; sm+: second column
+        gridColumn: { xs: "1 / -1", sm: 2 },
+        display: "flex",
+        flexDirection: "column",
+        gap: 0.75,
+        minWidth: 0, // critical to allow wrapping in grid/flex
+      }}
+    >
+      {cited.length > 0 && (
+        <Box sx={row}>
+          {cited.map((i) => (
+            <SourceChip
+              key={i}
+              id={sourceAnchor(messageId, i)}
+              tag={tags[i]}
+              label={`${i + 1}. ${tags[i].name}`}
+              onOpen={onOpenSource}
+            />
+          ))}
+        </Box>
+      )}
+      {unused.length > 0 && (
+        <Box sx={row}>
+          {cited.length > 0 && (
+            <Typography variant="caption" color="text.secondary">
+              Other sources:
+            </Typography>
+          )}
+          {unused.map((i) => (
+            <SourceChip
+              key={i}
+              tag={tags[i]}
+              label={tags[i].name}
+              onOpen={onOpenSource}
+            />
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+}
+
+function MessageBubble({ m, isInsight, onOpenSource }) {
   const theme = useTheme();
   const isUser = m.type === "user";
   const PRIMARY = isInsight
@@ -139,8 +349,27 @@ function MessageBubble({ m, isInsight }) {
           }}
         >
           <ReactMarkdown
-            remarkPlugins={[remarkGfm]}
+            remarkPlugins={[
+              remarkGfm,
+              [remarkCitations, { tags: isUser ? [] : m.tags ?? [] }],
+            ]}
             components={{
+              sup: (props) => {
+                const { node: _node, ...rest } = props;
+                const index = rest["data-cite"];
+                if (index == null) return <sup {...rest} />;
+                return (
+                  <sup>
+                    <CitationMarker
+                      messageId={m.id}
+                      index={Number(index)}
+                      tag={m.tags[Number(index)]}
+                      color={PRIMARY}
+                      onOpenSource={onOpenSource}
+                    />
+                  </sup>
+                );
+              },
               p: (props) => (
                 <Typography
                   variant="body1"
@@ -172,10 +401,21 @@ function MessageBubble({ m, isInsight }) {
                   {...props}
                 />
               ),
+              pre: CodeBlock,
+              code: (props) => <InlineCode {...props} inverted={isUser} />,
+              table: MarkdownTable,
+              a: (props) => <MarkdownLink {...props} inverted={isUser} />,
+              h1: MarkdownHeading,
+              h2: MarkdownHeading,
+              h3: MarkdownHeading,
+              h4: MarkdownHeading,
+              h5: MarkdownHeading,
+              h6: MarkdownHeading,
             }}
           >
             {m.content}
           </ReactMarkdown>
+          {m.streaming && <StreamingCaret color={PRIMARY} />}
 
           {!!m.docs?.length && (
             <Box sx={{ display: "flex", gap: 1, flexWrap: "wrap", mt: 1.25 }}>
@@ -197,8 +437,145 @@ function MessageBubble({ m, isInsight }) {
   );
 }
 
+// inline editor that replaces a sent question's bubble
+function QuestionEditor({ value, onChange, onSave, onCancel, color }) {
+  return (
+    <Box
+      sx={{
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "flex-end",
+        gap: 0.75,
+        ml: "auto",
+        pr: 6,
+        maxWidth: { xs: "92%", sm: "80%", md: "72%", xl: "60%" },
+      }}
+    >
+      <TextField
+        autoFocus
+        fullWidth
+        multiline
+        maxRows={8}
+        size="small"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" && !e.shiftKey) {
+            e.preventDefault();
+            onSave();
+          }
+          if (e.key === "Escape") onCancel();
+        }}
+        sx={{ "& .MuiOutlinedInput-root": { borderRadius: 3 } }}
+      />
+      <Box sx={{ display: "flex", gap: 0.5 }}>
+        <Button size="small" onClick={onCancel} sx={{ borderRadius: 2 }}>
+          Cancel
+        </Button>
+        <Button
+          size="small"
+          variant="contained"
+          disableElevation
+          disabled={!value.trim()}
+          onClick={onSave}
+          sx={{ borderRadius: 2, bgcolor: color }}
+        >
+          Save &amp; regenerate
+        </Button>
+      </Box>
+    </Box>
+  );
+}
+
+// copies the conversation up to this message into a new linked chat
+function BranchButton({ disabled, onClick }) {
+  return (
+    <Tooltip title="Branch from here">
+      <span>
+        <IconButton
+          size="small"
+          aria-label="Branch from here"
+          disabled={disabled}
+          onClick={onClick}
+        >
+          <CallSplit sx={{ fontSize: 16 }} />
+        </IconButton>
+      </span>
+    </Tooltip>
+  );
+}
+
+// "Regenerate" plus a ‹ 2/3 › pager once an answer has several versions,
+// "Branch from here" and the rating controls
+function AnswerActions({
+  m,
+  disabled,
+  onRegenerate,
+  onSelectVersion,
+  onBranch,
+  onRate,
+}) {
+  const count = m.versions?.length ?? 1;
+  const current = m.version ?? 0;
+  return (
+    <Box
+      sx={{
+        gridColumn: "1 / -1",
+        display: "flex",
+        alignItems: "center",
+        gap: 0.25,
+        color: "text.secondary",
+      }}
+    >
+      {count > 1 && (
+        <>
+          <IconButton
+            size="small"
+            aria-label="Previous version"
+            disabled={disabled || current === 0}
+            onClick={() => onSelectVersion(current - 1)}
+          >
+            <ChevronLeft sx={{ fontSize: 18 }} />
+          </IconButton>
+          <Typography
+            variant="caption"
+            sx={{ minWidth: 28, textAlign: "center" }}
+          >
+            {current + 1}/{count}
+          </Typography>
+          <IconButton
+            size="small"
+            aria-label="Next version"
+            disabled={disabled || current === count - 1}
+            onClick={() => onSelectVersion(current + 1)}
+          >
+            <ChevronRight sx={{ fontSize: 18 }} />
+          </IconButton>
+        </>
+      )}
+      {onRegenerate && (
+        <Button
+          size="small"
+          startIcon={<Autorenew fontSize="small" />}
+          disabled={disabled}
+          onClick={onRegenerate}
+          sx={{ color: "text.secondary", borderRadius: 2 }}
+        >
+          Regenerate
+        </Button>
+      )}
+      <BranchButton disabled={disabled} onClick={onBranch} />
+      <AnswerFeedback
+        feedback={m.feedback}
+        disabled={m.streaming || m.status === "stopped"}
+        onSubmit={onRate}
+      />
+    </Box>
+  );
+}
+
 const ChatWindow = forwardRef(function ChatWindow(
-  { chat, onCreateChat, onBack, embedded = false, starterMessage },
+  { chat, onCreateChat, onOpenChat, onBack, embedded = false, starterMessage },
   ref
 ) {
   const theme = useTheme();
@@ -206,18 +583,31 @@ const ChatWindow = forwardRef(function ChatWindow(
     sendMessage,
     selectMessages,
     loadMessages,
-    messagesVersion,
     setMessage,
+    retryMessage,
+    discardMessage,
+    regenerateAnswer,
+    editQuestion,
+    selectVersion,
     uploadDocument,
+    loadEarlierMessages,
+    markSeen,
+    branchChat,
+    rateAnswer,
   } = useData();
 
   const [inputValue, setInputValue] = useState(starterMessage || "");
   const [isThinking, setIsThinking] = useState(false);
+  // `{ id, value }` while a sent question is being reworded
+  const [editing, setEditing] = useState(null);
+  // source tag shown in the document preview pane
+  const [preview, setPreview] = useState(null);
   const [isLoadingHistory, setIsLoadingHistory] = useState(false);
   const [loadError, setLoadError] = useState(null);
-  const [sendError, setSendError] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
   const [uploads, setUploads] = useState([]); // [{id,name,progress,done,error}]
+  const [rateLimitUntil, setRateLimitUntil] = useState(null);
+  const [clock, setClock] = useState(() => Date.now());
 
   const [now, setNow] = useState(() => new Date());
   const messagesEndRef = useRef(null);
@@ -244,27 +634,90 @@ const ChatWindow = forwardRef(function ChatWindow(
   }, []);
 
   const autoAskedByThread = useRef(new Set());
-  const fetchedHistoryRef = useRef(new Set());
   const sendRef = useRef(null);
+  const abortRef = useRef(null);
 
   const isInsight = chat.chatType === "insight";
   const PRIMARY = isInsight
     ? theme.palette.info.main
     : theme.palette.success.main;
 
-  const messages = useMemo(
-    () => selectMessages(chat.id),
-    [messagesVersion, chat.id, selectMessages]
-  );
+  const messages = useThreadMessages(chat.id);
+
+  // an open thread is read, including updates that land while it's open
+  const isUnread = useIsUnread(isInsight ? "insights" : "chats", chat.id);
+  useEffect(() => {
+    if (isUnread) markSeen(chat.id);
+  }, [isUnread, chat.id, markSeen]);
+
+  // a preview belongs to the thread it was opened from
+  useEffect(() => setPreview(null), [chat.id]);
 
   useEffect(() => {
     const idTimer = setInterval(() => setNow(new Date()), 30000);
     return () => clearInterval(idTimer);
   }, []);
 
+  // tick the rate-limit countdown while a retry is pending
+  useEffect(() => {
+    if (!rateLimitUntil) return;
+    setClock(Date.now());
+    const t = setInterval(() => setClock(Date.now()), 250);
+    return () => clearInterval(t);
+  }, [rateLimitUntil]);
+  const retryInSec = rateLimitUntil
+    ? Math.max(0, Math.ceil((rateLimitUntil - clock) / 1000))
+    : 0;
+
+  /* older history pages are prepended; keep the viewport on what was visible */
+  const scrollRef = useRef(null);
+  const restoreScrollRef = useRef(null);
+  const threadPage = useThreadPage(chat.id);
+  const hasEarlier = threadPage?.nextCursor != null;
+  const isLoadingEarlier = Boolean(threadPage?.isLoading);
+  const isCachedThread = Boolean(threadPage?.cached);
+
+  const loadEarlier = async () => {
+    const el = scrollRef.current;
+    restoreScrollRef.current = el
+      ? { height: el.scrollHeight, top: el.scrollTop }
+      : null;
+    try {
+      await loadEarlierMessages(chat.id, isInsight ? "insight" : "question");
+    } catch {
+      restoreScrollRef.current = null; // surfaced by the global error snackbar
+    }
+  };
+
+  useLayoutEffect(() => {
+    const saved = restoreScrollRef.current;
+    const el = scrollRef.current;
+    if (!saved || !el) return;
+    el.scrollTop = el.scrollHeight - saved.height + saved.top;
+    restoreScrollRef.current = null;
+  }, [messages]);
+
+  // follow the end of the thread, but not edits further up (versions,
+  // regenerated answers) or older pages coming in above
+  const lastMessage = messages[messages.length - 1];
+  const awaitingAnswer = isThinking && lastMessage?.type === "user";
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  }, [messages, isThinking]);
+  }, [lastMessage, awaitingAnswer]);
+
+  // once tokens start arriving the draft bubble replaces the thinking indicator
+  const isStreaming = messages.some((m) => m.streaming);
+
+  // question id -> id of the answer right after it
+  const answerOf = useMemo(() => {
+    const out = new Map();
+    messages.forEach((m, i) => {
+      if (m.type === "user" && messages[i + 1]?.type === "ai")
+        out.set(m.id, messages[i + 1].id);
+    });
+    return out;
+  }, [messages]);
+  const answered = useMemo(() => new Set(answerOf.values()), [answerOf]);
 
   const lastAiMessageId = useMemo(() => {
     for (let i = messages.length - 1; i >= 0; i--)
@@ -272,15 +725,17 @@ const ChatWindow = forwardRef(function ChatWindow(
     return null;
   }, [messages]);
 
-  /** Load history on thread change — fetch ONCE per chat id (strict-mode safe) */
+  /**
+   * Load history on thread change. The data layer caches and dedupes the
+   * request, so remounts and strict-mode double effects don't refetch.
+   */
   useEffect(() => {
     let cancelled = false;
     (async () => {
       if (!chat?.id) return;
-      if (fetchedHistoryRef.current.has(chat.id)) return;
-      fetchedHistoryRef.current.add(chat.id);
 
-      setIsLoadingHistory(true);
+      // cached threads render straight away; only a cold load shows a spinner
+      setIsLoadingHistory(selectMessages(chat.id).length === 0);
       setLoadError(null);
       try {
         const chatType = isInsight ? "insight" : "question";
@@ -302,10 +757,11 @@ const ChatWindow = forwardRef(function ChatWindow(
           }
         }
       } catch (err) {
-        fetchedHistoryRef.current.delete(chat.id);
-        if (!cancelled) setLoadError("Could not load chat history.");
+        // a thread we hold a cached copy of shows that instead of an error
+        if (!cancelled && selectMessages(chat.id).length === 0)
+          setLoadError(errorFor(err, "Could not load chat history."));
       } finally {
-        setIsLoadingHistory(false);
+        if (!cancelled) setIsLoadingHistory(false);
       }
     })();
 
@@ -314,27 +770,96 @@ const ChatWindow = forwardRef(function ChatWindow(
     };
   }, [chat?.id, isInsight, loadMessages, selectMessages]);
 
+  // a cached thread reconciles with the server once we are back online
+  useEffect(() => {
+    if (!isCachedThread) return;
+    const retry = () =>
+      loadMessages(chat.id, isInsight ? "insight" : "question").catch(() => {
+        /* still cached; the banner stays */
+      });
+    window.addEventListener("online", retry);
+    return () => window.removeEventListener("online", retry);
+  }, [isCachedThread, chat.id, isInsight, loadMessages]);
+
+  /**
+   * Runs one question round-trip: thinking state, Stop button, rate-limit
+   * countdown. Failures end up on the question itself (status "failed").
+   */
+  const ask = useCallback(async (request) => {
+    setIsThinking(true);
+    const ctrl = new AbortController();
+    abortRef.current = ctrl;
+    try {
+      await request({
+        signal: ctrl.signal,
+        onRetry: ({ rateLimited, until }) =>
+          setRateLimitUntil(rateLimited ? until : null),
+      });
+    } catch {
+      /* shown inline on the question */
+    } finally {
+      if (abortRef.current === ctrl) abortRef.current = null;
+      setRateLimitUntil(null);
+      setIsThinking(false);
+    }
+  }, []);
+
   /** Manual send (click/Enter) */
   const send = useCallback(
     async (text) => {
       const content = (typeof text === "string" ? text : inputValue).trim();
       if (!content) return;
-      setSendError(null);
-      setIsThinking(true);
-      try {
-        const chatType = isInsight ? "insight" : "question";
-        setMessage(chat.id, content);
-        if (typeof text !== "string") setInputValue("");
-        await sendMessage(chat.id, content, chatType);
-      } catch (err) {
-        setSendError("Failed to send. Please try again.");
-      } finally {
-        setIsThinking(false);
-      }
+      const chatType = isInsight ? "insight" : "question";
+      const questionId = setMessage(chat.id, content);
+      if (typeof text !== "string") setInputValue("");
+      await ask((opts) =>
+        sendMessage(chat.id, content, chatType, { ...opts, questionId })
+      );
     },
-    [inputValue, isInsight, chat?.id, sendMessage, setMessage]
+    [inputValue, isInsight, chat?.id, sendMessage, setMessage, ask]
   );
 
+  const retry = (m) =>
+    ask((opts) =>
+      retryMessage(chat.id, m.id, isInsight ? "insight" : "question", opts)
+    );
+
+  // the failed question leaves the thread and comes back as a fresh send
+  const editAndResend = (m) => {
+    discardMessage(chat.id, m.id);
+    setInputValue(m.content);
+  };
+
+  const regenerate = (m) =>
+    ask((opts) =>
+      regenerateAnswer(chat.id, m.id, isInsight ? "insight" : "question", opts)
+    );
+
+  const saveEdit = () => {
+    const { id, value } = editing;
+    setEditing(null);
+    if (!value.trim()) return;
+    ask((opts) =>
+      editQuestion(chat.id, id, value, isInsight ? "insight" : "question", opts)
+    );
+  };
+
+  // the branch opens as soon as the server has created it
+  const branch = async (m) => {
+    try {
+      const created = await branchChat(
+        chat.id,
+        m.id,
+        isInsight ? "insight" : "question"
+      );
+      onOpenChat?.(created.id);
+    } catch {
+      /* reported through lastError */
+    }
+  };
+
+  const stop = useCallback(() => abortRef.current?.abort(), []);
+
   sendRef.current = send;
   useImperativeHandle(ref, () => ({ triggerSend: (text) => send(text) }));
 
@@ -384,14 +909,16 @@ const ChatWindow = forwardRef(function ChatWindow(
     // fire uploads sequentially to simplify progress demo
     for (const it of items) {
       try {
-        await uploadDocument(chat.id, it.file, (pct) => {
+        const res = await uploadDocument(chat.id, it.file, (pct) => {
           setUploads((u) =>
             u.map((x) => (x.id === it.id ? { ...x, progress: pct } : x))
           );
         });
         setUploads((u) =>
           u.map((x) =>
-            x.id === it.id ? { ...x, done: true, progress: 100 } : x
+            x.id === it.id
+              ? { ...x, done: true, progress: 100, queued: !!res?.queued }
+              : x
           )
         );
 
@@ -426,423 +953,592 @@ const ChatWindow = forwardRef(function ChatWindow(
   };
 
   return (
-    <Box sx={{ height: "100%", display: "flex", flexDirection: "column" }}>
-      <Paper
-        variant="outlined"
+    <Box sx={{ height: "100%", display: "flex", minHeight: 0 }}>
+      <Box
         sx={{
-          position: { xs: "sticky", md: "relative" },
-          top: { xs: 0, md: "auto" },
-          zIndex: 1,
-          px: { xs: 1.5, md: 2 },
-          py: { xs: 1, md: 1.5 },
+          flex: 1,
+          minWidth: 0,
           display: "flex",
-          alignItems: "center",
-          gap: 1.5,
-          borderRadius: 0,
-          bgcolor: (t) => t.palette.background.paper,
-          borderBottom: (t) => `1px solid ${t.palette.divider}`,
+          flexDirection: "column",
         }}
       >
-        {!embedded && (
-          <IconButton
-            onClick={onBack}
-            size="small"
-            sx={{ mr: { xs: 0.5, md: 0 } }}
-          >
-            <ArrowBack />
-          </IconButton>
-        )}
-        <FiberManualRecord fontSize="small" sx={{ color: PRIMARY, mr: 0.25 }} />
-        <Typography
-          variant="h6"
+        <Paper
+          variant="outlined"
           sx={{
-            fontWeight: 600,
-            flex: 1,
-            overflow: "hidden",
-            textOverflow: "ellipsis",
-            whiteSpace: "nowrap",
+            position: { xs: "sticky", md: "relative" },
+            top: { xs: 0, md: "auto" },
+            zIndex: 1,
+            px: { xs: 1.5, md: 2 },
+            py: { xs: 1, md: 1.5 },
+            display: "flex",
+            alignItems: "center",
+            gap: 1.5,
+            borderRadius: 0,
+            bgcolor: (t) => t.palette.background.paper,
+            borderBottom: (t) => `1px solid ${t.palette.divider}`,
           }}
         >
-          {chat.title}
-        </Typography>
-        {!isEmptyChat && (
-          <Button
-            onClick={onCreateChat}
-            variant="contained"
+          {!embedded && (
+            <IconButton
+              onClick={onBack}
+              size="small"
+              sx={{ mr: { xs: 0.5, md: 0 } }}
+            >
+              <ArrowBack />
+            </IconButton>
+          )}
+          <FiberManualRecord
+            fontSize="small"
+            sx={{ color: PRIMARY, mr: 0.25 }}
+          />
+          <Typography
+            variant="h6"
+            sx={{
+              fontWeight: 600,
+              flex: 1,
+              overflow: "hidden",
+              textOverflow: "ellipsis",
+              whiteSpace: "nowrap",
+            }}
+          >
+            {chat.title}
+          </Typography>
+          {!isEmptyChat && (
+            <Button
+              onClick={onCreateChat}
+              variant="contained"
+              sx={{
+                bgcolor: theme.palette.success.main,
+                color: "#fff",
+                px: 2,
+                borderRadius: 2,
+                "&:hover": { bgcolor: "#059669" },
+              }}
+            >
+              New Chat
+            </Button>
+          )}
+        </Paper>
+
+        {!isLoadingHistory && isNewChat && (
+          <Box
             sx={{
-              bgcolor: theme.palette.success.main,
-              color: "#fff",
               px: 2,
-              borderRadius: 2,
-              "&:hover": { bgcolor: "#059669" },
+              py: 1,
+              borderBottom: (t) => `1px solid ${t.palette.divider}`,
+              bgcolor: (t) =>
+                t.palette.mode === "dark" ? "#0F1520" : "#F8FAFC",
+              position: "relative",
+              "&::after": {
+                content: '""',
+                display: { xs: "block", sm: "none" },
+                position: "absolute",
+                right: 0,
+                top: 0,
+                bottom: 0,
+                width: 24,
+                pointerEvents: "none",
+                background: (t) =>
+                  `linear-gradient(270deg, ${t.palette.background.paper}, rgba(0,0,0,0))`,
+              },
             }}
           >
-            New Chat
-          </Button>
+            <ChipList
+              items={CHAT_SUGGESTIONS}
+              onPick={(text) => send(text)}
+              tone={PRIMARY}
+              outlined
+            />
+          </Box>
+        )}
+
+        {/* History loader — themed to Chats (green) or Insights (blue) */}
+        {isLoadingHistory && (
+          <LinearProgress
+            sx={{
+              backgroundColor: alpha(PRIMARY, 0.12),
+              "& .MuiLinearProgress-bar": {
+                backgroundColor: PRIMARY,
+              },
+            }}
+          />
         )}
-      </Paper>
 
-      {!isLoadingHistory && isNewChat && (
         <Box
+          ref={scrollRef}
+          onDragOver={!isInsight ? onDragOver : undefined}
+          onDragLeave={!isInsight ? onDragLeave : undefined}
+          onDrop={!isInsight ? onDrop : undefined}
           sx={{
-            px: 2,
-            py: 1,
-            borderBottom: (t) => `1px solid ${t.palette.divider}`,
-            bgcolor: (t) => (t.palette.mode === "dark" ? "#0F1520" : "#F8FAFC"),
             position: "relative",
-            "&::after": {
-              content: '""',
-              display: { xs: "block", sm: "none" },
-              position: "absolute",
-              right: 0,
-              top: 0,
-              bottom: 0,
-              width: 24,
-              pointerEvents: "none",
-              background: (t) =>
-                `linear-gradient(270deg, ${t.palette.background.paper}, rgba(0,0,0,0))`,
-            },
+            flex: 1,
+            p: { xs: 1.5, sm: 2 },
+            overflowY: "auto",
+            bgcolor: theme.palette.mode === "dark" ? "#0B0F14" : "#F6F7F9",
+            minHeight: 0,
+            ...scrollbar(theme, PRIMARY),
           }}
         >
-          <ChipList
-            items={CHAT_SUGGESTIONS}
-            onPick={(text) => send(text)}
-            tone={PRIMARY}
-            outlined
-          />
-        </Box>
-      )}
-
-      {/* History loader — themed to Chats (green) or Insights (blue) */}
-      {isLoadingHistory && (
-        <LinearProgress
-          sx={{
-            backgroundColor: alpha(PRIMARY, 0.12),
-            "& .MuiLinearProgress-bar": {
-              backgroundColor: PRIMARY,
-            },
-          }}
-        />
-      )}
-
-      <Box
-        onDragOver={!isInsight ? onDragOver : undefined}
-        onDragLeave={!isInsight ? onDragLeave : undefined}
-        onDrop={!isInsight ? onDrop : undefined}
-        sx={{
-          position: "relative",
-          flex: 1,
-          p: { xs: 1.5, sm: 2 },
-          overflowY: "auto",
-          bgcolor: theme.palette.mode === "dark" ? "#0B0F14" : "#F6F7F9",
-          minHeight: 0,
-          ...scrollbar(theme, PRIMARY),
-        }}
-      >
-        {!isInsight && isDragging && (
-          <Box
-            sx={{
-              position: "absolute",
-              inset: 0,
-              zIndex: 10,
-              bgcolor: "rgba(37,99,235,0.08)",
-              border: `2px dashed ${PRIMARY}`,
-              borderRadius: 2,
-              display: "grid",
-              placeItems: "center",
-              pointerEvents: "none",
-            }}
-          >
-            <Typography variant="h6">Drop files to upload</Typography>
-          </Box>
-        )}
-        {loadError && (
-          <Alert
-            severity="error"
+          {!isInsight && isDragging && (
+            <Box
+              sx={{
+                position: "absolute",
+                inset: 0,
+                zIndex: 10,
+                bgcolor: "rgba(37,99,235,0.08)",
+                border: `2px dashed ${PRIMARY}`,
+                borderRadius: 2,
+                display: "grid",
+                placeItems: "center",
+                pointerEvents: "none",
+              }}
+            >
+              <Typography variant="h6">Drop files to upload</Typography>
+            </Box>
+          )}
+          <ErrorAlert
+            error={loadError}
             sx={{ mb: 2 }}
             onClose={() => setLoadError(null)}
-          >
-            {loadError}
-          </Alert>
-        )}
+          />
+          {isCachedThread && !isLoadingHistory && (
+            <Alert
+              severity="info"
+              variant="outlined"
+              icon={<CloudOff fontSize="small" />}
+              sx={{ mb: 2, borderRadius: 2 }}
+            >
+              Showing cached messages saved on this device. They will refresh
+              once the server is reachable.
+            </Alert>
+          )}
 
-        {sections.map((section) => (
-          <Box key={section.header} sx={{ mb: 1.5 }}>
-            <DateDivider label={section.header} />
-            {section.items.map((m) => {
-              const label = messageLabel(m._d, now);
-              const hoverTitle = `${formatDate(m._d)} · ${formatTime(m._d)}`;
-              const isUser = m.type === "user";
-              return (
-                <Fragment key={m.id}>
-                  <Box sx={{ mb: 2 }}>
-                    <MessageBubble m={m} isInsight={isInsight} />
-                    {m.type === "ai" &&
-                      m.id === lastAiMessageId &&
-                      Array.isArray(m.followUps) &&
-                      m.followUps.length > 0 && (
-                        <Box
-                          sx={{
-                            mt: 1,
-                            display: "flex",
-                            justifyContent: "flex-start",
-                            px: 6,
-                          }}
-                        >
-                          <ChipList
-                            items={m.followUps}
-                            onPick={(text) => send(text)}
-                            tone={PRIMARY}
-                            outlined
-                          />
-                        </Box>
+          {hasEarlier && !isLoadingHistory && (
+            <Box sx={{ display: "flex", justifyContent: "center", mb: 1 }}>
+              <Button
+                size="small"
+                onClick={loadEarlier}
+                disabled={isLoadingEarlier}
+                startIcon={
+                  isLoadingEarlier ? (
+                    <CircularProgress size={14} sx={{ color: PRIMARY }} />
+                  ) : (
+                    <History fontSize="small" />
+                  )
+                }
+                sx={{ color: PRIMARY, borderRadius: 2 }}
+              >
+                Load earlier messages
+              </Button>
+            </Box>
+          )}
+
+          {sections.map((section) => (
+            <Box key={section.header} sx={{ mb: 1.5 }}>
+              <DateDivider label={section.header} />
+              {section.items.map((m) => {
+                const label = messageLabel(m._d, now);
+                const hoverTitle = `${formatDate(m._d)} · ${formatTime(m._d)}`;
+                const isUser = m.type === "user";
+                return (
+                  <Fragment key={m.id}>
+                    <Box sx={{ mb: 2 }}>
+                      {editing?.id === m.id ? (
+                        <QuestionEditor
+                          value={editing.value}
+                          onChange={(value) => setEditing({ id: m.id, value })}
+                          onSave={saveEdit}
+                          onCancel={() => setEditing(null)}
+                          color={PRIMARY}
+                        />
+                      ) : (
+                        <MessageBubble
+                          m={m}
+                          isInsight={isInsight}
+                          onOpenSource={setPreview}
+                        />
                       )}
-                    <Box
-                      sx={{
-                        mt: 0.5,
-                        px: 6,
-                        display: "grid",
-                        // xs: stack; sm+: two columns (time + chips)
-                        gridTemplateColumns: {
-                          xs: "1fr",
-                          sm: isUser
-                            ? "minmax(0, auto) 1fr"
-                            : "minmax(0, auto) 1fr",
-                        },
-                        columnGap: 1.5,
-                        rowGap: 0.75,
-                        alignItems: "start",
-                      }}
-                    >
-                      {/* Time */}
-                      <Tooltip
-                        title={hoverTitle}
-                        arrow
-                        placement={isUser ? "left" : "right"}
+                      {m.type === "ai" &&
+                        m.id === lastAiMessageId &&
+                        Array.isArray(m.followUps) &&
+                        m.followUps.length > 0 && (
+                          <Box
+                            sx={{
+                              mt: 1,
+                              display: "flex",
+                              justifyContent: "flex-start",
+                              px: 6,
+                            }}
+                          >
+                            <ChipList
+                              items={m.followUps}
+                              onPick={(text) => send(text)}
+                              tone={PRIMARY}
+                              outlined
+                            />
+                          </Box>
+                        )}
+                      <Box
+                        sx={{
+                          mt: 0.5,
+                          px: 6,
+                          display: "grid",
+                          // xs: stack; sm+: two columns (time + chips)
+                          gridTemplateColumns: {
+                            xs: "1fr",
+                            sm: isUser
+                              ? "minmax(0, auto) 1fr"
+                              : "minmax(0, auto) 1fr",
+                          },
+                          columnGap: 1.5,
+                          rowGap: 0.75,
+                          alignItems: "start",
+                        }}
                       >
-                        <Typography
-                          variant="caption"
-                          color="text.secondary"
-                          sx={{
-                            gridColumn: { xs: "1 / -1", sm: isUser ? 2 : 1 },
-                            justifySelf: isUser
-                              ? { xs: "end", sm: "end" }
-                              : "start",
-                            textAlign: isUser ? "right" : "left",
-
-                            // allow wrapping (no truncation)
-                            whiteSpace: "normal",
-                            wordBreak: "break-word",
-                            overflowWrap: "anywhere",
-                            textOverflow: "clip",
-                            overflow: "visible",
-                            minWidth: 0,
-                            maxWidth: "100%",
-                          }}
+                        {/* Time */}
+                        <Tooltip
+                          title={hoverTitle}
+                          arrow
+                          placement={isUser ? "left" : "right"}
                         >
-                          {label}
-                        </Typography>
-                      </Tooltip>
+                          <Typography
+                            variant="caption"
+                            color="text.secondary"
+                            sx={{
+                              gridColumn: { xs: "1 / -1", sm: isUser ? 2 : 1 },
+                              justifySelf: isUser
+                                ? { xs: "end", sm: "end" }
+                                : "start",
+                              textAlign: isUser ? "right" : "left",
 
-                      {/* Chips */}
-                      {m.type === "ai" &&
-                        Array.isArray(m.tags) &&
-                        m.tags.length > 0 && (
+                              // allow wrapping (no truncation)
+                              whiteSpace: "normal",
+                              wordBreak: "break-word",
+                              overflowWrap: "anywhere",
+                              textOverflow: "clip",
+                              overflow: "visible",
+                              minWidth: 0,
+                              maxWidth: "100%",
+                            }}
+                          >
+                            {label}
+                            {m.status === "pending" && " · Sending…"}
+                            {m.status === "queued" && (
+                              <Box
+                                component="span"
+                                sx={{ color: "warning.main", fontWeight: 600 }}
+                              >
+                                {" · Queued, sends when back online"}
+                              </Box>
+                            )}
+                            {m.status === "stopped" && (
+                              <Box
+                                component="span"
+                                sx={{ color: "warning.main", fontWeight: 600 }}
+                              >
+                                {" · Stopped"}
+                              </Box>
+                            )}
+                            {m.status === "failed" && (
+                              <Box
+                                component="span"
+                                sx={{ color: "error.main", fontWeight: 600 }}
+                              >
+                                {" · Not sent"}
+                              </Box>
+                            )}
+                          </Typography>
+                        </Tooltip>
+
+                        {/* Sent question: reword it, or branch off here */}
+                        {isUser &&
+                          !["pending", "queued", "failed"].includes(m.status) &&
+                          editing?.id !== m.id && (
+                            <Box
+                              sx={{
+                                gridColumn: { xs: "1 / -1", sm: 1 },
+                                gridRow: { sm: 1 },
+                              }}
+                            >
+                              {answerOf.has(m.id) && (
+                                <Tooltip title="Edit question">
+                                  <span>
+                                    <IconButton
+                                      size="small"
+                                      aria-label="Edit question"
+                                      disabled={isThinking}
+                                      onClick={() =>
+                                        setEditing({
+                                          id: m.id,
+                                          value: m.content,
+                                        })
+                                      }
+                                    >
+                                      <Edit sx={{ fontSize: 16 }} />
+                                    </IconButton>
+                                  </span>
+                                </Tooltip>
+                              )}
+                              <BranchButton
+                                disabled={isThinking}
+                                onClick={() => branch(m)}
+                              />
+                            </Box>
+                          )}
+
+                        {/* Failed question: why, and what to do about it */}
+                        {isUser && m.status === "failed" && (
                           <Box
                             sx={{
-                              // xs: put chips on the next row full-width; sm+: second column
-                              gridColumn: { xs: "1 / -1", sm: 2 },
+                              gridColumn: "1 / -1",
                               display: "flex",
                               flexWrap: "wrap",
-                              gap: 0.75,
-                              justifyContent: isUser
-                                ? "flex-end"
-                                : "flex-start",
-                              minWidth: 0, // critical to allow wrapping in grid/flex
+                              alignItems: "center",
+                              justifyContent: "flex-end",
+                              gap: 0.5,
                             }}
                           >
-                            {m.tags.map((ref, idx) => (
-                              <Chip
-                                key={idx}
-                                label={ref.name}
-                                size="small"
-                                variant="outlined"
-                                component={ref.file_url ? "a" : "div"}
-                                href={ref.file_url || undefined}
-                                target={ref.file_url ? "_blank" : undefined}
-                                rel={
-                                  ref.file_url
-                                    ? "noopener noreferrer"
-                                    : undefined
-                                }
-                                clickable={!!ref.file_url}
-                                sx={{
-                                  fontSize: "0.7rem",
-                                  color: "text.secondary",
-                                  borderColor: "divider",
-                                  bgcolor: (t) =>
-                                    t.palette.mode === "dark"
-                                      ? "rgba(255,255,255,0.05)"
-                                      : "#F9FAFB",
-                                  "& .MuiChip-label": {
-                                    px: 0.75,
-                                    whiteSpace: "normal", // allow multi-line chip text too
-                                    wordBreak: "break-word",
-                                    overflowWrap: "anywhere",
-                                  },
-                                  height: "auto", // let chip grow vertically
-                                  alignItems: "flex-start",
-                                }}
-                              />
-                            ))}
+                            {m.error?.message && (
+                              <Typography
+                                variant="caption"
+                                color="error"
+                                title={m.error.details || undefined}
+                                sx={{ mr: 0.5 }}
+                              >
+                                {m.error.message}
+                              </Typography>
+                            )}
+                            <Button
+                              size="small"
+                              startIcon={<Replay fontSize="small" />}
+                              disabled={isThinking}
+                              onClick={() => retry(m)}
+                              sx={{ color: PRIMARY, borderRadius: 2 }}
+                            >
+                              Retry
+                            </Button>
+                            <Button
+                              size="small"
+                              startIcon={<Edit fontSize="small" />}
+                              disabled={isThinking}
+                              onClick={() => editAndResend(m)}
+                              sx={{ color: "text.secondary", borderRadius: 2 }}
+                            >
+                              Edit &amp; resend
+                            </Button>
                           </Box>
                         )}
+
+                        {/* Sources: cited ones numbered, the rest after */}
+                        {m.type === "ai" &&
+                          Array.isArray(m.tags) &&
+                          m.tags.length > 0 && (
+                            <SourceChips
+                              messageId={m.id}
+                              tags={m.tags}
+                              cited={citedIndexes(m.content, m.tags)}
+                              onOpenSource={setPreview}
+                            />
+                          )}
+
+                        {/* Answer: regenerate, and page through its versions */}
+                        {m.type === "ai" && !m.streaming && (
+                          <AnswerActions
+                            m={m}
+                            disabled={isThinking}
+                            onBranch={() => branch(m)}
+                            onRate={(fb) =>
+                              rateAnswer(
+                                chat.id,
+                                m.id,
+                                isInsight ? "insight" : "question",
+                                fb
+                              )
+                            }
+                            onRegenerate={
+                              answered.has(m.id)
+                                ? () => regenerate(m)
+                                : undefined
+                            }
+                            onSelectVersion={(v) =>
+                              selectVersion(chat.id, m.id, v)
+                            }
+                          />
+                        )}
+                      </Box>
                     </Box>
-                  </Box>
-                </Fragment>
-              );
-            })}
-          </Box>
-        ))}
+                  </Fragment>
+                );
+              })}
+            </Box>
+          ))}
 
-        {isThinking && (
-          <Box sx={{ display: "flex", gap: 1.5, mt: 1 }}>
-            <Avatar
-              sx={{ bgcolor: PRIMARY, color: "#fff", width: 32, height: 32 }}
-            >
-              <SmartToy sx={{ fontSize: 18 }} />
-            </Avatar>
-            <Box
-              sx={{
-                bgcolor: theme.palette.background.paper,
-                border: `1px solid ${theme.palette.divider}`,
-                px: 2,
-                py: 1,
-                borderRadius: 3,
-              }}
-            >
-              <ThinkingIndicator variant={isInsight ? "insight" : "chat"} />
+          {isThinking && !isStreaming && (
+            <Box sx={{ display: "flex", gap: 1.5, mt: 1 }}>
+              <Avatar
+                sx={{ bgcolor: PRIMARY, color: "#fff", width: 32, height: 32 }}
+              >
+                <SmartToy sx={{ fontSize: 18 }} />
+              </Avatar>
+              <Box
+                sx={{
+                  bgcolor: theme.palette.background.paper,
+                  border: `1px solid ${theme.palette.divider}`,
+                  px: 2,
+                  py: 1,
+                  borderRadius: 3,
+                }}
+              >
+                <ThinkingIndicator variant={isInsight ? "insight" : "chat"} />
+              </Box>
             </Box>
-          </Box>
-        )}
+          )}
 
-        {/* Anchor for auto-scroll */}
-        <div ref={messagesEndRef} />
-      </Box>
+          {/* Anchor for auto-scroll */}
+          <div ref={messagesEndRef} />
+        </Box>
 
-      <Paper
-        variant="outlined"
-        sx={{
-          px: { xs: 1, md: 1.5 },
-          py: { xs: 0.75, md: 1 },
-          borderRadius: 0,
-        }}
-      >
-        {sendError && (
-          <Alert
-            severity="error"
-            sx={{ mb: 1 }}
-            onClose={() => setSendError(null)}
-          >
-            {sendError}
-          </Alert>
-        )}
-        <Box sx={{ display: "flex", alignItems: "flex-end", gap: 1 }}>
-          <input
-            ref={fileInputRef}
-            type="file"
-            multiple
-            style={{ display: "none" }}
-            onChange={onPickFiles}
-          />
-          {!isInsight && (
-            <>
-              <input
-                ref={fileInputRef}
-                type="file"
-                multiple
-                style={{ display: "none" }}
-                onChange={onPickFiles}
-              />
-              <Tooltip title="Upload files">
+        <Paper
+          variant="outlined"
+          sx={{
+            px: { xs: 1, md: 1.5 },
+            py: { xs: 0.75, md: 1 },
+            borderRadius: 0,
+          }}
+        >
+          {rateLimitUntil && (
+            <Alert severity="warning" sx={{ mb: 1 }}>
+              Too many requests right now.{" "}
+              {retryInSec > 0 ? `Retrying in ${retryInSec}s…` : "Retrying…"}
+            </Alert>
+          )}
+          <Box sx={{ display: "flex", alignItems: "flex-end", gap: 1 }}>
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              style={{ display: "none" }}
+              onChange={onPickFiles}
+            />
+            {!isInsight && (
+              <>
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  multiple
+                  style={{ display: "none" }}
+                  onChange={onPickFiles}
+                />
+                <Tooltip title="Upload files">
+                  <IconButton
+                    onClick={() => fileInputRef.current?.click()}
+                    sx={{
+                      bgcolor:
+                        theme.palette.mode === "dark" ? "#0F1520" : "#FFFFFF",
+                      border: `1px solid ${theme.palette.divider}`,
+                      "&:hover": { bgcolor: theme.palette.action.hover },
+                    }}
+                  >
+                    <UploadFile />
+                  </IconButton>
+                </Tooltip>
+              </>
+            )}
+            <TextField
+              fullWidth
+              multiline
+              maxRows={6}
+              placeholder={
+                isInsight ? "Ask about this insight…" : "Ask anything here…"
+              }
+              value={inputValue}
+              onChange={(e) => setInputValue(e.target.value)}
+              onKeyDown={onKeyDown}
+              size="small"
+              sx={{
+                "& .MuiOutlinedInput-root": {
+                  borderRadius: 2,
+                  backgroundColor:
+                    theme.palette.mode === "dark" ? "#0F1520" : "#FFFFFF",
+                  "& fieldset": { borderColor: theme.palette.divider },
+                  "&:hover fieldset": {
+                    borderColor:
+                      theme.palette.mode === "dark" ? "#2B3542" : "#D1D5DB",
+                  },
+                  "&.Mui-focused fieldset": { borderColor: PRIMARY },
+                },
+              }}
+            />
+            {isThinking ? (
+              <Tooltip title="Stop generating">
                 <IconButton
-                  onClick={() => fileInputRef.current?.click()}
+                  onClick={stop}
+                  aria-label="Stop generating"
                   sx={{
-                    bgcolor:
-                      theme.palette.mode === "dark" ? "#0F1520" : "#FFFFFF",
-                    border: `1px solid ${theme.palette.divider}`,
-                    "&:hover": { bgcolor: theme.palette.action.hover },
+                    bgcolor: theme.palette.error.main,
+                    color: "white",
+                    "&:hover": { bgcolor: theme.palette.error.dark },
                   }}
                 >
-                  <UploadFile />
+                  <Stop sx={{ fontSize: 20 }} />
                 </IconButton>
               </Tooltip>
-            </>
-          )}
-          <TextField
-            fullWidth
-            multiline
-            maxRows={6}
-            placeholder={
-              isInsight ? "Ask about this insight…" : "Ask anything here…"
-            }
-            value={inputValue}
-            onChange={(e) => setInputValue(e.target.value)}
-            onKeyDown={onKeyDown}
-            size="small"
-            sx={{
-              "& .MuiOutlinedInput-root": {
-                borderRadius: 2,
-                backgroundColor:
-                  theme.palette.mode === "dark" ? "#0F1520" : "#FFFFFF",
-                "& fieldset": { borderColor: theme.palette.divider },
-                "&:hover fieldset": {
-                  borderColor:
-                    theme.palette.mode === "dark" ? "#2B3542" : "#D1D5DB",
-                },
-                "&.Mui-focused fieldset": { borderColor: PRIMARY },
-              },
-            }}
-          />
-          <IconButton
-            onClick={() => send()}
-            disabled={!inputValue.trim() || isThinking}
-            sx={{
-              bgcolor: PRIMARY,
-              color: "white",
-              "&:hover": { bgcolor: isInsight ? "#1D4ED8" : "#059669" },
-              "&:disabled": { bgcolor: "#2E3846", color: "#9CA3AF" },
-            }}
-          >
-            <Send sx={{ fontSize: 20 }} />
-          </IconButton>
-        </Box>
-        {/* Upload progress strip */}
-        {!isInsight && uploads.length > 0 && (
-          <Box sx={{ mt: 1, display: "grid", gap: 1 }}>
-            {uploads.map((u) => (
-              <Box key={u.id}>
-                <Typography
-                  variant="caption"
-                  sx={{ display: "block", mb: 0.25 }}
-                >
-                  {u.name} {u.error ? "– failed" : u.done ? "– done" : ""}
-                </Typography>
-                <LinearProgress
-                  variant={u.error ? "determinate" : "determinate"}
-                  value={u.error ? 0 : u.progress}
-                  sx={{
-                    height: 6,
-                    borderRadius: 999,
-                    backgroundColor: alpha(PRIMARY, 0.12),
-                    "& .MuiLinearProgress-bar": { backgroundColor: PRIMARY },
-                  }}
-                />
-              </Box>
-            ))}
+            ) : (
+              <IconButton
+                onClick={() => send()}
+                disabled={!inputValue.trim()}
+                sx={{
+                  bgcolor: PRIMARY,
+                  color: "white",
+                  "&:hover": { bgcolor: isInsight ? "#1D4ED8" : "#059669" },
+                  "&:disabled": { bgcolor: "#2E3846", color: "#9CA3AF" },
+                }}
+              >
+                <Send sx={{ fontSize: 20 }} />
+              </IconButton>
+            )}
           </Box>
-        )}
-      </Paper>
+          {/* Upload progress strip */}
+          {!isInsight && uploads.length > 0 && (
+            <Box sx={{ mt: 1, display: "grid", gap: 1 }}>
+              {uploads.map((u) => (
+                <Box key={u.id}>
+                  <Typography
+                    variant="caption"
+                    sx={{ display: "block", mb: 0.25 }}
+                  >
+                    {u.name}{" "}
+                    {u.error
+                      ? "– failed"
+                      : u.queued
+                      ? "– queued"
+                      : u.done
+                      ? "– done"
+                      : ""}
+                  </Typography>
+                  <LinearProgress
+                    variant={u.error ? "determinate" : "determinate"}
+                    value={u.error ? 0 : u.progress}
+                    sx={{
+                      height: 6,
+                      borderRadius: 999,
+                      backgroundColor: alpha(PRIMARY, 0.12),
+                      "& .MuiLinearProgress-bar": { backgroundColor: PRIMARY },
+                    }}
+                  />
+                </Box>
+              ))}
+            </Box>
+          )}
+        </Paper>
+      </Box>
+      {preview && (
+        <DocumentPreview
+          tag={preview}
+          color={PRIMARY}
+          onClose={() => setPreview(null)}
+        />
+      )}
     </Box>
   );
 });
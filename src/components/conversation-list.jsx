@@ -1,6 +1,8 @@
 import React, {
   useState,
   useMemo,
+  useRef,
+  useEffect,
   forwardRef,
   useImperativeHandle,
   Fragment,
@@ -28,6 +30,8 @@ import {
   Button,
   Chip,
   Skeleton,
+  CircularProgress,
+  Tooltip,
 } from "@mui/material";
 import {
   Search,
@@ -42,6 +46,10 @@ import {
   Delete,
   Check,
   Close,
+  Schedule,
+  ArrowUpward,
+  DoneAll,
+  CallSplit,
 } from "@mui/icons-material";
 import { alpha } from "@mui/material/styles";
 import {
@@ -51,6 +59,41 @@ import {
   summarizeMarkdown,
 } from "../utils/utils";
 import { useData } from "../contexts/data-context";
+import {
+  useChats,
+  useInsights,
+  useLastSeen,
+  useListPage,
+  useMeta,
+  useOutbox,
+} from "../contexts/data-hooks";
+import { isUnread } from "../services/last-seen";
+
+function TabLabel({ text, unread }) {
+  return (
+    <Box component="span" sx={{ display: "inline-flex", alignItems: "center" }}>
+      {text}
+      {unread > 0 && (
+        <Box
+          component="span"
+          aria-label={`${unread} unread`}
+          sx={{
+            ml: 0.75,
+            px: 0.75,
+            minWidth: 20,
+            lineHeight: "20px",
+            borderRadius: 999,
+            fontSize: "0.7rem",
+            fontWeight: 700,
+            bgcolor: (t) => alpha(t.palette.text.primary, 0.12),
+          }}
+        >
+          {unread > 99 ? "99+" : unread}
+        </Box>
+      )}
+    </Box>
+  );
+}
 
 /* ---------- icons for insight types ---------- */
 function InsightIcon({ type }) {
@@ -68,7 +111,18 @@ const ConversationList = forwardRef(function ConversationList(
   ref
 ) {
   const theme = useTheme();
-  const { chats, insights, renameChat, deleteChat, isBooting } = useData();
+  const {
+    renameChat,
+    deleteChat,
+    loadMoreChats,
+    loadMoreInsights,
+    acknowledgeNewInsights,
+    markAllSeen,
+  } = useData();
+  const chats = useChats();
+  const insights = useInsights();
+  const isBooting = useMeta((m) => m.isBooting);
+  const newInsightIds = useMeta((m) => m.newInsightIds);
   const [activeTab, setActiveTab] = useState(defaultTab === "insights" ? 1 : 0);
   const [search, setSearch] = useState("");
   const [selected, setSelected] = useState({ tab: null, id: null });
@@ -83,6 +137,45 @@ const ConversationList = forwardRef(function ConversationList(
   const isChats = activeTab === 0;
   const data = isChats ? chats : insights;
 
+  // ids with updates since the user last opened them, per list
+  const lastSeen = useLastSeen();
+  const unreadChats = useMemo(
+    () =>
+      new Set(
+        chats.filter((c) => isUnread(c, "chats", lastSeen)).map((c) => c.id)
+      ),
+    [chats, lastSeen]
+  );
+  const unreadInsights = useMemo(
+    () =>
+      new Set(
+        insights
+          .filter((x) => isUnread(x, "insights", lastSeen))
+          .map((x) => x.id)
+      ),
+    [insights, lastSeen]
+  );
+  const unread = isChats ? unreadChats : unreadInsights;
+
+  // branches: parent titles for child rows, branch counts for parent rows
+  const branches = useMemo(() => {
+    const titles = new Map();
+    for (const x of [...chats, ...insights]) titles.set(x.id, x.title);
+    const counts = new Map();
+    for (const c of chats)
+      if (c.parentId) counts.set(c.parentId, (counts.get(c.parentId) || 0) + 1);
+    return { titles, counts };
+  }, [chats, insights]);
+
+  // thread id -> number of questions/uploads waiting to be sent
+  const outbox = useOutbox();
+  const queuedByThread = useMemo(() => {
+    const counts = new Map();
+    for (const x of outbox)
+      counts.set(x.threadId, (counts.get(x.threadId) || 0) + 1);
+    return counts;
+  }, [outbox]);
+
   const filtered = useMemo(() => {
     const q = search.trim().toLowerCase();
     if (!q) return data;
@@ -95,6 +188,47 @@ const ConversationList = forwardRef(function ConversationList(
     });
   }, [search, data]);
 
+  /* infinite scroll: fetch the next page when the sentinel nears the viewport */
+  const listRef = useRef(null);
+  const sentinelRef = useRef(null);
+  const page = useListPage(isChats ? "chats" : "insights");
+  const hasMore = page.nextCursor != null;
+
+  // data.length re-arms the observer after a page lands, in case the
+  // sentinel is still in view
+  useEffect(() => {
+    const el = sentinelRef.current;
+    if (!el || !hasMore || isBooting) return;
+    const loadMore = isChats ? loadMoreChats : loadMoreInsights;
+    const io = new IntersectionObserver(
+      (entries) => {
+        if (entries[0]?.isIntersecting) loadMore().catch(() => {});
+      },
+      { root: listRef.current, rootMargin: "200px" }
+    );
+    io.observe(el);
+    return () => io.disconnect();
+  }, [
+    isChats,
+    hasMore,
+    isBooting,
+    data.length,
+    loadMoreChats,
+    loadMoreInsights,
+  ]);
+
+  // the pill brings the first new insight into view (search could hide it)
+  const showNewInsights = () => {
+    const firstId = newInsightIds[0];
+    setSearch("");
+    acknowledgeNewInsights();
+    requestAnimationFrame(() =>
+      listRef.current
+        ?.querySelector(`[data-id="${CSS.escape(firstId)}"]`)
+        ?.scrollIntoView({ behavior: "smooth", block: "nearest" })
+    );
+  };
+
   useImperativeHandle(ref, () => ({
     selectTab: (nameOrIndex) => {
       if (nameOrIndex === "insights" || nameOrIndex === 1) setActiveTab(1);
@@ -197,11 +331,20 @@ const ConversationList = forwardRef(function ConversationList(
           },
         }}
       >
-        <Tab label="Chats" />
-        <Tab label="Insights" />
+        <Tab label={<TabLabel text="Chats" unread={unreadChats.size} />} />
+        <Tab
+          label={<TabLabel text="Insights" unread={unreadInsights.size} />}
+        />
       </Tabs>
 
-      <Box sx={{ p: { xs: 1, md: 1.5 } }}>
+      <Box
+        sx={{
+          p: { xs: 1, md: 1.5 },
+          display: "flex",
+          alignItems: "center",
+          gap: 0.5,
+        }}
+      >
         <TextField
           fullWidth
           size="small"
@@ -234,9 +377,36 @@ const ConversationList = forwardRef(function ConversationList(
             },
           }}
         />
+        {unread.size > 0 && (
+          <Tooltip title="Mark all as read">
+            <IconButton
+              size="small"
+              aria-label={`Mark all ${isChats ? "chats" : "insights"} as read`}
+              onClick={() => markAllSeen(isChats ? "chats" : "insights")}
+            >
+              <DoneAll fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        )}
       </Box>
 
+      {!isChats && newInsightIds.length > 0 && (
+        <Box sx={{ display: "flex", justifyContent: "center", pb: 1 }}>
+          <Chip
+            size="small"
+            color="info"
+            icon={<ArrowUpward fontSize="small" />}
+            label={`${newInsightIds.length} new insight${
+              newInsightIds.length === 1 ? "" : "s"
+            }`}
+            onClick={showNewInsights}
+            sx={{ fontWeight: 600 }}
+          />
+        </Box>
+      )}
+
       <List
+        ref={listRef}
         dense
         disablePadding
         sx={{
@@ -249,7 +419,9 @@ const ConversationList = forwardRef(function ConversationList(
         {isBooting
           ? renderSkeletonRows()
           : filtered.map((item, idx) => {
-              const dateLabel = formatListDate(item.updatedAt);
+              const dateLabel = item.pending
+                ? "Saving…"
+                : formatListDate(item.updatedAt);
               const rowSelected =
                 (isChats &&
                   selected.tab === "chats" &&
@@ -258,6 +430,8 @@ const ConversationList = forwardRef(function ConversationList(
                   selected.tab === "insights" &&
                   selected.id === item.id);
               const isEditing = editingId === item.id;
+              const queued = queuedByThread.get(item.id) || 0;
+              const rowUnread = unread.has(item.id);
               const handleRowClick = () => {
                 if (isEditing) return;
                 setSelected({
@@ -278,12 +452,17 @@ const ConversationList = forwardRef(function ConversationList(
               };
 
               return (
-                <Box key={item.id} sx={{ position: "relative" }}>
+                <Box
+                  key={item.id}
+                  data-id={item.id}
+                  sx={{ position: "relative" }}
+                >
                   <ListItemButton
                     className="row"
                     disableRipple
                     disableTouchRipple
                     onClick={handleRowClick}
+                    disabled={Boolean(item.pending)}
                     sx={{
                       position: "relative",
                       px: 2,
@@ -435,12 +614,38 @@ const ConversationList = forwardRef(function ConversationList(
                               <Typography
                                 variant="subtitle2"
                                 sx={{
-                                  fontWeight: rowSelected ? 800 : 600,
+                                  fontWeight:
+                                    rowSelected || rowUnread ? 800 : 600,
                                   pr: 1,
                                 }}
                               >
                                 {item.title}
                               </Typography>
+                              {rowUnread && (
+                                <Box
+                                  aria-label="Unread"
+                                  sx={{
+                                    flexShrink: 0,
+                                    width: 8,
+                                    height: 8,
+                                    mr: 1,
+                                    ml: "auto",
+                                    borderRadius: "50%",
+                                    bgcolor: PRIMARY,
+                                  }}
+                                />
+                              )}
+                              {queued > 0 && (
+                                <Chip
+                                  icon={<Schedule />}
+                                  label={`${queued} queued`}
+                                  size="small"
+                                  color="warning"
+                                  variant="outlined"
+                                  title="Will be sent when you're back online"
+                                  sx={{ mr: 1, height: 20, fontSize: "0.7rem" }}
+                                />
+                              )}
                               {!!dateLabel && (
                                 <Typography
                                   variant="caption"
@@ -475,6 +680,40 @@ const ConversationList = forwardRef(function ConversationList(
                               </Typography>
                             ) : null;
                           })()}
+                          {(item.parentId || branches.counts.has(item.id)) && (
+                            <Typography
+                              variant="caption"
+                              color="text.secondary"
+                              sx={{
+                                mt: 0.5,
+                                display: "flex",
+                                alignItems: "center",
+                                gap: 0.5,
+                                minWidth: 0,
+                              }}
+                            >
+                              <CallSplit sx={{ fontSize: 14 }} />
+                              <Box
+                                component="span"
+                                sx={{
+                                  overflow: "hidden",
+                                  textOverflow: "ellipsis",
+                                  whiteSpace: "nowrap",
+                                }}
+                              >
+                                {item.parentId
+                                  ? `Branched from ${
+                                      branches.titles.get(item.parentId) ??
+                                      "another chat"
+                                    }`
+                                  : `${branches.counts.get(item.id)} branch${
+                                      branches.counts.get(item.id) === 1
+                                        ? ""
+                                        : "es"
+                                    }`}
+                              </Box>
+                            </Typography>
+                          )}
                           {!isChats && (
                             <Box
                               sx={{
@@ -561,6 +800,16 @@ const ConversationList = forwardRef(function ConversationList(
                 </Box>
               );
             })}
+        {!isBooting && hasMore && (
+          <Box
+            ref={sentinelRef}
+            sx={{ display: "flex", justifyContent: "center", py: 1.5 }}
+          >
+            {page.isLoading && (
+              <CircularProgress size={20} sx={{ color: PRIMARY }} />
+            )}
+          </Box>
+        )}
       </List>
 
       <Menu
@@ -0,0 +1,339 @@
+import { useEffect, useRef, useState } from "react";
+import {
+  Box,
+  Button,
+  Chip,
+  CircularProgress,
+  Drawer,
+  IconButton,
+  Tooltip,
+  Typography,
+  useMediaQuery,
+  useTheme,
+} from "@mui/material";
+import {
+  Close,
+  Download,
+  InsertDriveFile,
+  OpenInNew,
+} from "@mui/icons-material";
+import { scrollbar } from "../utils/utils";
+
+const WIDTH_KEY = "insight-chat:preview-width";
+const MIN_WIDTH = 320;
+const DEFAULT_WIDTH = 480;
+
+const EXTENSIONS = {
+  pdf: ["pdf"],
+  image: ["png", "jpg", "jpeg", "gif", "webp", "svg", "bmp"],
+  text: ["txt", "md", "csv", "tsv", "json", "log", "xml", "yaml", "yml"],
+};
+
+const extensionOf = (s = "") => {
+  const path = s.split(/[?#]/)[0];
+  const match = /\.([a-z0-9]+)$/i.exec(path);
+  return match ? match[1].toLowerCase() : "";
+};
+
+/** "pdf", "image", "text" or null, from the file URL or else the tag name. */
+function previewKind(tag) {
+  let ext = "";
+  try {
+    ext = extensionOf(new URL(tag.file_url, window.location.href).pathname);
+  } catch {
+    /* not a URL we can parse; the name may still tell */
+  }
+  ext ||= extensionOf(tag.name);
+  return (
+    Object.keys(EXTENSIONS).find((kind) => EXTENSIONS[kind].includes(ext)) ??
+    null
+  );
+}
+
+const maxWidth = () => Math.max(MIN_WIDTH, window.innerWidth * 0.7);
+const clampWidth = (w) =>
+  Math.round(Math.min(maxWidth(), Math.max(MIN_WIDTH, w)));
+
+function readWidth() {
+  try {
+    const saved = Number(localStorage.getItem(WIDTH_KEY));
+    if (saved) return clampWidth(saved);
+  } catch {
+    /* storage unavailable */
+  }
+  return DEFAULT_WIDTH;
+}
+
+function saveWidth(w) {
+  try {
+    localStorage.setItem(WIDTH_KEY, String(w));
+  } catch {
+    /* width lasts for this session only */
+  }
+}
+
+// text files are fetched and shown as-is; large ones are cut short
+const TEXT_LIMIT = 200 * 1024;
+
+function TextPreview({ url }) {
+  const [state, setState] = useState({ loading: true });
+  useEffect(() => {
+    const ctrl = new AbortController();
+    setState({ loading: true });
+    fetch(url, { signal: ctrl.signal })
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.text();
+      })
+      .then((text) =>
+        setState({
+          text: text.slice(0, TEXT_LIMIT),
+          truncated: text.length > TEXT_LIMIT,
+        })
+      )
+      .catch((error) => {
+        if (!ctrl.signal.aborted) setState({ error });
+      });
+    return () => ctrl.abort();
+  }, [url]);
+
+  if (state.loading)
+    return (
+      <Box sx={{ display: "grid", placeItems: "center", height: "100%" }}>
+        <CircularProgress size={24} />
+      </Box>
+    );
+  if (state.error) return <Unsupported url={url} reason="failed" />;
+  return (
+    <Box
+      component="pre"
+      sx={{
+        m: 0,
+        p: 2,
+        fontFamily: "monospace",
+        fontSize: "0.8rem",
+        lineHeight: 1.5,
+        whiteSpace: "pre-wrap",
+        wordBreak: "break-word",
+      }}
+    >
+      {state.text}
+      {state.truncated && "\n\n… (truncated; download for the full file)"}
+    </Box>
+  );
+}
+
+function Unsupported({ url, name, reason }) {
+  return (
+    <Box
+      sx={{
+        height: "100%",
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        justifyContent: "center",
+        gap: 1.5,
+        p: 3,
+        textAlign: "center",
+      }}
+    >
+      <InsertDriveFile sx={{ fontSize: 48, color: "text.disabled" }} />
+      <Typography variant="body2" color="text.secondary">
+        {reason === "failed"
+          ? "This file couldn't be loaded for preview."
+          : "This file type can't be previewed here."}
+      </Typography>
+      <Button
+        variant="outlined"
+        size="small"
+        startIcon={<Download />}
+        href={url}
+        download={name || true}
+        target="_blank"
+        rel="noopener noreferrer"
+      >
+        Download
+      </Button>
+    </Box>
+  );
+}
+
+function PreviewBody({ tag }) {
+  const kind = previewKind(tag);
+  const url = tag.file_url;
+  if (kind === "pdf")
+    return (
+      <Box
+        component="iframe"
+        // remount per page: viewers don't follow a hash change on a loaded PDF
+        key={`${url}#${tag.page ?? ""}`}
+        title={tag.name}
+        src={tag.page ? `${url}#page=${tag.page}` : url}
+        sx={{ border: 0, width: "100%", height: "100%", display: "block" }}
+      />
+    );
+  if (kind === "image")
+    return (
+      <Box sx={{ p: 2, display: "grid", placeItems: "center" }}>
+        <Box
+          component="img"
+          src={url}
+          alt={tag.name}
+          sx={{ maxWidth: "100%", height: "auto", borderRadius: 1 }}
+        />
+      </Box>
+    );
+  if (kind === "text") return <TextPreview url={url} />;
+  return <Unsupported url={url} name={tag.name} />;
+}
+
+/**
+ * Side pane for a cited source (`tag` with a `file_url`, optional `page`),
+ * tinted with the thread's accent `color`. Drag the left edge (or focus it and
+ * use the arrow keys) to resize; the width is remembered. On small screens it
+ * opens as a full-width drawer instead.
+ */
+export default function DocumentPreview({ tag, color, onClose }) {
+  const theme = useTheme();
+  const compact = useMediaQuery(theme.breakpoints.down("md"));
+  const [width, setWidth] = useState(readWidth);
+  const dragRef = useRef(null);
+
+  const startResize = (e) => {
+    e.preventDefault();
+    dragRef.current = { x: e.clientX, width };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+  const resize = (e) => {
+    if (!dragRef.current) return;
+    const { x, width: from } = dragRef.current;
+    setWidth(clampWidth(from + x - e.clientX));
+  };
+  const endResize = () => {
+    if (!dragRef.current) return;
+    dragRef.current = null;
+    saveWidth(width);
+  };
+  const nudge = (e) => {
+    const step = { ArrowLeft: 32, ArrowRight: -32 }[e.key];
+    if (!step) return;
+    e.preventDefault();
+    const next = clampWidth(width + step);
+    setWidth(next);
+    saveWidth(next);
+  };
+
+  const pane = (
+    <Box
+      component="aside"
+      aria-label={`Preview of ${tag.name}`}
+      sx={{
+        position: "relative",
+        width: compact ? "100%" : width,
+        flexShrink: 0,
+        height: "100%",
+        display: "flex",
+        flexDirection: "column",
+        minHeight: 0,
+        bgcolor: "background.paper",
+        borderLeft: compact ? "none" : `1px solid ${theme.palette.divider}`,
+      }}
+    >
+      {!compact && (
+        <Box
+          role="separator"
+          aria-orientation="vertical"
+          aria-label="Resize preview"
+          aria-valuenow={width}
+          tabIndex={0}
+          onPointerDown={startResize}
+          onPointerMove={resize}
+          onPointerUp={endResize}
+          onPointerCancel={endResize}
+          onKeyDown={nudge}
+          sx={{
+            position: "absolute",
+            left: -3,
+            top: 0,
+            bottom: 0,
+            width: 6,
+            zIndex: 2,
+            cursor: "col-resize",
+            touchAction: "none",
+            "&:hover, &:focus-visible": {
+              bgcolor: color,
+              opacity: 0.4,
+              outline: "none",
+            },
+          }}
+        />
+      )}
+      <Box
+        sx={{
+          px: 1.5,
+          py: 1,
+          display: "flex",
+          alignItems: "center",
+          gap: 1,
+          borderBottom: `1px solid ${theme.palette.divider}`,
+        }}
+      >
+        <Typography
+          variant="subtitle2"
+          title={tag.name}
+          sx={{
+            flex: 1,
+            minWidth: 0,
+            overflow: "hidden",
+            textOverflow: "ellipsis",
+            whiteSpace: "nowrap",
+          }}
+        >
+          {tag.name}
+        </Typography>
+        {tag.page != null && (
+          <Chip size="small" variant="outlined" label={`p. ${tag.page}`} />
+        )}
+        <Tooltip title="Open in new tab">
+          <IconButton
+            size="small"
+            component="a"
+            href={tag.file_url}
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            <OpenInNew fontSize="small" />
+          </IconButton>
+        </Tooltip>
+        <Tooltip title="Close preview">
+          <IconButton size="small" onClick={onClose} aria-label="Close preview">
+            <Close fontSize="small" />
+          </IconButton>
+        </Tooltip>
+      </Box>
+      <Box
+        sx={{
+          flex: 1,
+          minHeight: 0,
+          overflow: "auto",
+          ...scrollbar(theme, color),
+        }}
+      >
+        <PreviewBody tag={tag} />
+      </Box>
+    </Box>
+  );
+
+  if (compact)
+    return (
+      <Drawer
+        anchor="right"
+        open
+        onClose={onClose}
+        slotProps={{ paper: { sx: { width: "100%" } } }}
+      >
+        {pane}
+      </Drawer>
+    );
+  return pane;
+}
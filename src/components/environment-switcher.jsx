@@ -0,0 +1,67 @@
+import { useState } from "react";
+import { Chip, Menu, MenuItem, ListItemText, Divider } from "@mui/material";
+import { Check, Dns } from "@mui/icons-material";
+import { getApiConfig, setApiEnvironment } from "../api/config";
+
+/**
+ * Badge naming the backend the app talks to. Hidden on production builds
+ * that point at production; in dev builds it doubles as a switcher.
+ */
+export default function EnvironmentSwitcher() {
+  const [menuEl, setMenuEl] = useState(null);
+  const config = getApiConfig();
+  const isDev = import.meta.env.DEV;
+
+  if (!isDev && config.isProduction && !config.mock) return null;
+
+  const pick = (name) => {
+    setMenuEl(null);
+    if (name === config.name && config.source === "switcher") return;
+    setApiEnvironment(name);
+    window.location.reload();
+  };
+
+  return (
+    <>
+      <Chip
+        icon={<Dns />}
+        size="small"
+        label={config.mock ? `${config.label} · mock data` : config.label}
+        color={config.isProduction && !config.mock ? "default" : "warning"}
+        variant={config.isProduction && !config.mock ? "outlined" : "filled"}
+        onClick={isDev ? (e) => setMenuEl(e.currentTarget) : undefined}
+        title={config.apiBase}
+        sx={{ fontWeight: 600 }}
+      />
+      {isDev && (
+        <Menu
+          anchorEl={menuEl}
+          open={Boolean(menuEl)}
+          onClose={() => setMenuEl(null)}
+          anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+          transformOrigin={{ vertical: "top", horizontal: "right" }}
+        >
+          {config.environments.map((env) => (
+            <MenuItem key={env.name} onClick={() => pick(env.name)}>
+              <Check
+                fontSize="small"
+                style={{
+                  marginRight: 10,
+                  visibility: env.name === config.name ? "visible" : "hidden",
+                }}
+              />
+              <ListItemText primary={env.label} secondary={env.apiBase} />
+            </MenuItem>
+          ))}
+          <Divider />
+          <MenuItem
+            disabled={config.source !== "switcher"}
+            onClick={() => pick(null)}
+          >
+            Reset to configured default
+          </MenuItem>
+        </Menu>
+      )}
+    </>
+  );
+}
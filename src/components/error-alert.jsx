@@ -0,0 +1,54 @@
+import { useState } from "react";
+import { Alert, Box, Button, Collapse } from "@mui/material";
+
+/**
+ * Alert for an error shaped by `describeError`: shows the friendly message and
+ * keeps the raw server details behind a toggle.
+ */
+export default function ErrorAlert({ error, onClose, sx, ...rest }) {
+  const [open, setOpen] = useState(false);
+  if (!error) return null;
+  const { message, details } =
+    typeof error === "string" ? { message: error, details: null } : error;
+
+  return (
+    <Alert
+      severity="error"
+      onClose={onClose}
+      sx={{ "& .MuiAlert-message": { minWidth: 0, flex: 1 }, ...sx }}
+      {...rest}
+    >
+      {message}
+      {!!details && (
+        <>
+          <Button
+            size="small"
+            color="inherit"
+            onClick={() => setOpen((v) => !v)}
+            sx={{ ml: 1, p: 0, minWidth: 0, textDecoration: "underline" }}
+          >
+            {open ? "Hide details" : "Details"}
+          </Button>
+          <Collapse in={open} unmountOnExit>
+            <Box
+              component="pre"
+              sx={{
+                mt: 1,
+                p: 1,
+                maxHeight: 200,
+                overflow: "auto",
+                borderRadius: 1,
+                fontSize: 12,
+                whiteSpace: "pre-wrap",
+                wordBreak: "break-word",
+                bgcolor: "rgba(0,0,0,0.06)",
+              }}
+            >
+              {details}
+            </Box>
+          </Collapse>
+        </>
+      )}
+    </Alert>
+  );
+}
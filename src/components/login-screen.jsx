@@ -0,0 +1,125 @@
+import { useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import {
+  Alert,
+  Box,
+  Button,
+  CircularProgress,
+  Paper,
+  Stack,
+  TextField,
+  Typography,
+  useTheme,
+} from "@mui/material";
+import { useAuth } from "../contexts/auth-hooks";
+import logo from "../logo.png";
+
+export default function LoginScreen() {
+  const theme = useTheme();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { signIn, expired } = useAuth();
+
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // RequireAuth stashes the route the user was on before being sent here
+  const from = location.state?.from;
+  const returnTo = from?.pathname
+    ? `${from.pathname}${from.search || ""}${from.hash || ""}`
+    : "/home";
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    if (!username.trim() || !password) return;
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      await signIn({ username: username.trim(), password });
+      navigate(returnTo, { replace: true });
+    } catch (err) {
+      setError(
+        err?.status === 401 || err?.status === 400
+          ? "Incorrect username or password."
+          : "Could not sign in. Please try again."
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Box
+      sx={{
+        minHeight: "100svh",
+        display: "grid",
+        placeItems: "center",
+        p: 2,
+        bgcolor: theme.palette.background.default,
+      }}
+    >
+      <Paper
+        variant="outlined"
+        component="form"
+        onSubmit={onSubmit}
+        sx={{ width: "min(400px, 100%)", borderRadius: 3, p: 4 }}
+      >
+        <Stack spacing={2.5}>
+          <Stack spacing={1} alignItems="center" textAlign="center">
+            <img src={logo} alt="App Logo" style={{ width: 48, height: 48 }} />
+            <Typography variant="h6" sx={{ fontWeight: 700 }}>
+              APCRDA Insights Engine
+            </Typography>
+            <Typography variant="body2" color="text.secondary">
+              Sign in to continue
+            </Typography>
+          </Stack>
+
+          {expired && !error && (
+            <Alert severity="info">
+              Your session expired. Please sign in again.
+            </Alert>
+          )}
+          {error && <Alert severity="error">{error}</Alert>}
+
+          <TextField
+            label="Username"
+            autoComplete="username"
+            autoFocus
+            fullWidth
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+          />
+          <TextField
+            label="Password"
+            type="password"
+            autoComplete="current-password"
+            fullWidth
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+          />
+          <Button
+            type="submit"
+            variant="contained"
+            disabled={isSubmitting || !username.trim() || !password}
+            sx={{
+              bgcolor: theme.palette.success.main,
+              color: "#fff",
+              borderRadius: 2,
+              py: 1,
+              "&:hover": { bgcolor: "#059669" },
+            }}
+          >
+            {isSubmitting ? (
+              <CircularProgress size={22} sx={{ color: "#fff" }} />
+            ) : (
+              "Sign in"
+            )}
+          </Button>
+        </Stack>
+      </Paper>
+    </Box>
+  );
+}
@@ -0,0 +1,297 @@
+import { useEffect, useRef, useState } from "react";
+import { Box, IconButton, Tooltip, Typography, useTheme } from "@mui/material";
+import { Check, ContentCopy } from "@mui/icons-material";
+import { highlight, isHighlighted } from "../utils/highlight";
+
+/* Renderers for the block-level Markdown in answers: code, tables, links and
+ * headings. Each takes react-markdown's props; `inverted` is set inside the
+ * coloured user bubble. */
+
+// GitHub-like token colours per palette mode
+const TOKEN_COLORS = {
+  light: {
+    comment: "#6A737D",
+    string: "#032F62",
+    number: "#005CC5",
+    keyword: "#D73A49",
+  },
+  dark: {
+    comment: "#8B949E",
+    string: "#A5D6FF",
+    number: "#79C0FF",
+    keyword: "#FF7B72",
+  },
+};
+
+// plain text of a hast node
+const textOf = (node) =>
+  node.type === "text"
+    ? node.value
+    : (node.children ?? []).map(textOf).join("");
+
+const csvCell = (s) => (/[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s);
+
+// every row of a hast <table>, header included, as CSV
+function tableToCsv(table) {
+  const rows = [];
+  const walk = (node) => {
+    if (node.tagName === "tr")
+      rows.push(
+        node.children
+          .filter((c) => c.tagName === "th" || c.tagName === "td")
+          .map((c) => csvCell(textOf(c).trim()))
+          .join(",")
+      );
+    else node.children?.forEach(walk);
+  };
+  walk(table);
+  return rows.join("\n");
+}
+
+function CopyButton({ getText, label, sx }) {
+  const [copied, setCopied] = useState(false);
+  const timer = useRef(null);
+  useEffect(() => () => clearTimeout(timer.current), []);
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(getText());
+      setCopied(true);
+      clearTimeout(timer.current);
+      timer.current = setTimeout(() => setCopied(false), 1500);
+    } catch {
+      /* clipboard blocked (insecure origin or denied); nothing to undo */
+    }
+  };
+  return (
+    <Tooltip title={copied ? "Copied" : label}>
+      <IconButton size="small" aria-label={label} onClick={copy} sx={sx}>
+        {copied ? (
+          <Check sx={{ fontSize: 16 }} />
+        ) : (
+          <ContentCopy sx={{ fontSize: 16 }} />
+        )}
+      </IconButton>
+    </Tooltip>
+  );
+}
+
+/** Fenced code block (the `pre` renderer), highlighted, with a copy button. */
+export function CodeBlock({ node }) {
+  const theme = useTheme();
+  const dark = theme.palette.mode === "dark";
+  const code = node.children.find((c) => c.tagName === "code") ?? node;
+  const lang = (code.properties?.className ?? [])
+    .map(String)
+    .find((c) => c.startsWith("language-"))
+    ?.slice("language-".length);
+  const text = textOf(code).replace(/\n$/, "");
+  const colors = TOKEN_COLORS[dark ? "dark" : "light"];
+
+  return (
+    <Box
+      sx={{
+        my: 1,
+        borderRadius: 2,
+        overflow: "hidden",
+        border: `1px solid ${theme.palette.divider}`,
+        bgcolor: dark ? "#0B1020" : "#F6F8FA",
+        color: dark ? "#E6EDF3" : "#24292F",
+      }}
+    >
+      <Box
+        sx={{
+          display: "flex",
+          alignItems: "center",
+          pl: 1.5,
+          pr: 0.5,
+          py: 0.25,
+          borderBottom: `1px solid ${theme.palette.divider}`,
+        }}
+      >
+        <Typography
+          variant="caption"
+          sx={{ flex: 1, color: "text.secondary", fontFamily: "monospace" }}
+        >
+          {lang || "text"}
+        </Typography>
+        <CopyButton
+          getText={() => text}
+          label="Copy code"
+          sx={{ color: "text.secondary" }}
+        />
+      </Box>
+      <Box
+        component="pre"
+        sx={{
+          m: 0,
+          p: 1.5,
+          overflowX: "auto",
+          fontFamily:
+            "ui-monospace, SFMono-Regular, Menlo, Consolas, monospace",
+          fontSize: "0.8rem",
+          lineHeight: 1.55,
+          whiteSpace: "pre",
+          wordBreak: "normal",
+        }}
+      >
+        <code>
+          {isHighlighted(lang)
+            ? highlight(text, lang).map((t, i) =>
+                t.type === "plain" ? (
+                  t.text
+                ) : (
+                  <span
+                    key={i}
+                    style={{
+                      color: colors[t.type],
+                      fontStyle: t.type === "comment" ? "italic" : undefined,
+                    }}
+                  >
+                    {t.text}
+                  </span>
+                )
+              )
+            : text}
+        </code>
+      </Box>
+    </Box>
+  );
+}
+
+/** Inline `code` span. */
+export function InlineCode(props) {
+  const { node: _node, inverted, ...rest } = props;
+  return (
+    <Box
+      component="code"
+      sx={{
+        px: 0.5,
+        py: 0.125,
+        borderRadius: 1,
+        fontFamily: "ui-monospace, SFMono-Regular, Menlo, Consolas, monospace",
+        fontSize: "0.85em",
+        bgcolor: (t) =>
+          inverted
+            ? "rgba(255,255,255,0.18)"
+            : t.palette.mode === "dark"
+            ? "rgba(255,255,255,0.08)"
+            : "rgba(15,23,42,0.06)",
+      }}
+      {...rest}
+    />
+  );
+}
+
+/** GFM table: scrolls sideways when wide, striped rows, copy as CSV. */
+export function MarkdownTable({ node, children }) {
+  const theme = useTheme();
+  const dark = theme.palette.mode === "dark";
+  return (
+    <Box sx={{ my: 1 }}>
+      <Box
+        sx={{
+          overflowX: "auto",
+          border: `1px solid ${theme.palette.divider}`,
+          borderRadius: 2,
+        }}
+      >
+        <Box
+          component="table"
+          sx={{
+            width: "100%",
+            borderCollapse: "collapse",
+            fontSize: "0.85rem",
+            "& th, & td": {
+              px: 1.25,
+              py: 0.75,
+              textAlign: "left",
+              verticalAlign: "top",
+              borderBottom: `1px solid ${theme.palette.divider}`,
+            },
+            "& th": {
+              fontWeight: 700,
+              whiteSpace: "nowrap",
+              bgcolor: dark ? "rgba(255,255,255,0.06)" : "#F1F5F9",
+            },
+            "& tbody tr:nth-of-type(even)": {
+              bgcolor: dark ? "rgba(255,255,255,0.03)" : "#F8FAFC",
+            },
+            "& tbody tr:last-of-type td": { borderBottom: 0 },
+          }}
+        >
+          {children}
+        </Box>
+      </Box>
+      <Box sx={{ display: "flex", justifyContent: "flex-end", mt: 0.25 }}>
+        <CopyButton
+          getText={() => tableToCsv(node)}
+          label="Copy table as CSV"
+          sx={{ color: "inherit", opacity: 0.7 }}
+        />
+      </Box>
+    </Box>
+  );
+}
+
+// web links to another origin; mailto: and in-app links behave as usual
+const isExternal = (href) => {
+  try {
+    const url = new URL(href, window.location.href);
+    return (
+      /^https?:$/.test(url.protocol) && url.origin !== window.location.origin
+    );
+  } catch {
+    return false;
+  }
+};
+
+/** Links; ones leaving the app open in a new tab without an opener. */
+export function MarkdownLink(props) {
+  const { node: _node, href, inverted, ...rest } = props;
+  const external = href && isExternal(href);
+  return (
+    <Box
+      component="a"
+      href={href}
+      target={external ? "_blank" : undefined}
+      rel={external ? "noopener noreferrer" : undefined}
+      sx={{
+        color: inverted ? "inherit" : "primary.main",
+        textDecoration: "underline",
+        textUnderlineOffset: "2px",
+        overflowWrap: "anywhere",
+      }}
+      {...rest}
+    />
+  );
+}
+
+// bubble-sized headings: h1 is only a little larger than body text
+const HEADING_SIZES = [
+  "1.25rem",
+  "1.125rem",
+  "1rem",
+  "0.95rem",
+  "0.9rem",
+  "0.9rem",
+];
+
+/** h1–h6. */
+export function MarkdownHeading({ node, ...props }) {
+  const level = Number(node.tagName.slice(1));
+  return (
+    <Typography
+      component={node.tagName}
+      sx={{
+        fontSize: HEADING_SIZES[level - 1],
+        fontWeight: level <= 2 ? 700 : 600,
+        lineHeight: 1.35,
+        mt: 1.25,
+        mb: 0.5,
+        "&:first-child": { mt: 0.25 },
+        color: level >= 5 ? "text.secondary" : "inherit",
+      }}
+      {...props}
+    />
+  );
+}
@@ -0,0 +1,118 @@
+import { useEffect, useState } from "react";
+import {
+  Badge,
+  Box,
+  Button,
+  Chip,
+  Drawer,
+  Fab,
+  Tooltip,
+  Typography,
+} from "@mui/material";
+import { Rule } from "@mui/icons-material";
+import { clearDriftLog, getDriftLog, onSchemaDrift } from "../api/schema";
+
+const PROBLEM_COLOR = {
+  dropped: "error",
+  type: "error",
+  missing: "warning",
+  renamed: "warning",
+  unexpected: "default",
+};
+
+/**
+ * Dev-only console for API schema drift: a floating badge that opens a list
+ * of every field the client had to patch up, grouped by endpoint.
+ */
+export default function SchemaDriftPanel() {
+  const [issues, setIssues] = useState(getDriftLog);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => onSchemaDrift((_issue, all) => setIssues(all)), []);
+
+  if (!import.meta.env.DEV || issues.length === 0) return null;
+
+  const serious = issues.filter((i) => i.problem !== "unexpected").length;
+
+  return (
+    <>
+      <Tooltip title="API schema drift" placement="right">
+        <Fab
+          size="small"
+          onClick={() => setOpen(true)}
+          sx={{ position: "fixed", left: 16, bottom: 16, zIndex: 1300 }}
+        >
+          <Badge
+            badgeContent={serious || issues.length}
+            color={serious ? "error" : "default"}
+          >
+            <Rule fontSize="small" />
+          </Badge>
+        </Fab>
+      </Tooltip>
+      <Drawer anchor="bottom" open={open} onClose={() => setOpen(false)}>
+        <Box sx={{ p: 2, maxHeight: "50vh", overflow: "auto" }}>
+          <Box
+            sx={{
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "space-between",
+              mb: 1.5,
+            }}
+          >
+            <Typography variant="subtitle1" sx={{ fontWeight: 700 }}>
+              API schema drift
+            </Typography>
+            <Button size="small" onClick={clearDriftLog}>
+              Clear
+            </Button>
+          </Box>
+          <Box
+            component="table"
+            sx={{
+              width: "100%",
+              borderCollapse: "collapse",
+              fontSize: 13,
+              "& th, & td": {
+                textAlign: "left",
+                py: 0.5,
+                px: 1,
+                borderBottom: (t) => `1px solid ${t.palette.divider}`,
+              },
+              "& td:nth-of-type(2)": { fontFamily: "monospace" },
+            }}
+          >
+            <thead>
+              <tr>
+                <th>Endpoint</th>
+                <th>Field</th>
+                <th>Problem</th>
+                <th>Expected</th>
+                <th>Received</th>
+                <th>Seen</th>
+              </tr>
+            </thead>
+            <tbody>
+              {issues.map((i) => (
+                <tr key={i.key}>
+                  <td>{i.endpoint}</td>
+                  <td>{i.field}</td>
+                  <td>
+                    <Chip
+                      size="small"
+                      label={i.problem}
+                      color={PROBLEM_COLOR[i.problem] || "default"}
+                    />
+                  </td>
+                  <td>{i.expected || "—"}</td>
+                  <td>{i.received || "—"}</td>
+                  <td>{i.count}×</td>
+                </tr>
+              ))}
+            </tbody>
+          </Box>
+        </Box>
+      </Drawer>
+    </>
+  );
+}
@@ -0,0 +1,82 @@
+import { useState } from "react";
+import {
+  Avatar,
+  Box,
+  Divider,
+  IconButton,
+  Menu,
+  MenuItem,
+  Tooltip,
+  Typography,
+  useTheme,
+} from "@mui/material";
+import { Logout } from "@mui/icons-material";
+import { useAuth } from "../contexts/auth-hooks";
+
+const initials = (name = "") =>
+  name
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((p) => p[0].toUpperCase())
+    .join("") || "?";
+
+export default function UserMenu() {
+  const theme = useTheme();
+  const { user, isAnonymous, signOut } = useAuth();
+  const [menuEl, setMenuEl] = useState(null);
+
+  if (!user || isAnonymous) return null;
+
+  return (
+    <>
+      <Tooltip title={user.name || user.email || "Account"}>
+        <IconButton
+          onClick={(e) => setMenuEl(e.currentTarget)}
+          size="small"
+          aria-label="Account menu"
+        >
+          <Avatar
+            sx={{
+              width: 32,
+              height: 32,
+              fontSize: 14,
+              fontWeight: 700,
+              bgcolor: theme.palette.success.main,
+              color: "#fff",
+            }}
+          >
+            {initials(user.name || user.email)}
+          </Avatar>
+        </IconButton>
+      </Tooltip>
+      <Menu
+        anchorEl={menuEl}
+        open={Boolean(menuEl)}
+        onClose={() => setMenuEl(null)}
+        anchorOrigin={{ vertical: "bottom", horizontal: "right" }}
+        transformOrigin={{ vertical: "top", horizontal: "right" }}
+        PaperProps={{ sx: { minWidth: 200, borderRadius: 2 } }}
+      >
+        <Box sx={{ px: 2, py: 1 }}>
+          <Typography variant="subtitle2">{user.name}</Typography>
+          {!!user.email && (
+            <Typography variant="caption" color="text.secondary">
+              {user.email}
+            </Typography>
+          )}
+        </Box>
+        <Divider />
+        <MenuItem
+          onClick={() => {
+            setMenuEl(null);
+            signOut();
+          }}
+        >
+          <Logout fontSize="small" style={{ marginRight: 10, opacity: 0.9 }} />
+          Sign out
+        </MenuItem>
+      </Menu>
+    </>
+  );
+}
@@ -0,0 +1,35 @@
+import { useEffect, useMemo, useState } from "react";
+import authService from "../services/auth-service";
+import dataService from "../services/data-service";
+import { AuthContext } from "./auth-hooks";
+
+export function AuthProvider({ children }) {
+  const [session, setSession] = useState(authService.session);
+  const [expired, setExpired] = useState(false);
+
+  useEffect(
+    () =>
+      authService.subscribe((s) => {
+        setSession(s.session);
+        setExpired(s.expired);
+        // never leave the previous user's chats in memory
+        if (!s.session) dataService.reset();
+      }),
+    []
+  );
+
+  const value = useMemo(
+    () => ({
+      session,
+      user: session?.user || null,
+      isAuthenticated: Boolean(session),
+      isAnonymous: authService.isAnonymous,
+      expired,
+      signIn: (credentials) => authService.signIn(credentials),
+      signOut: () => authService.signOut(),
+    }),
+    [session, expired]
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
@@ -0,0 +1,14 @@
+import { createContext, useContext } from "react";
+
+/**
+ * The auth context and its hook live apart from `AuthProvider` so the
+ * provider module only exports components (needed for fast refresh).
+ */
+
+export const AuthContext = createContext(null);
+
+export function useAuth() {
+  const ctx = useContext(AuthContext);
+  if (!ctx) throw new Error("useAuth must be used inside <AuthProvider/>");
+  return ctx;
+}
@@ -1,35 +1,37 @@
-import { createContext, useContext, useEffect, useMemo, useState } from "react";
+import { createContext, useContext, useEffect, useMemo } from "react";
 import dataService from "../services/data-service";
 
 const DataContext = createContext(null);
 
+/**
+ * Boots the data layer and hands out its actions. State is read through the
+ * selector hooks in `./data-hooks`, so the context value never changes and
+ * `useData()` consumers don't re-render on data updates.
+ */
 export function DataProvider({ children }) {
-  const [chats, setChats] = useState([]);
-  const [insights, setInsights] = useState([]);
-  const [messagesVersion, setMessagesVersion] = useState(0);
-
-  const [isBooting, setIsBooting] = useState(true);
-  const [lastError, setLastError] = useState(null);
-
   useEffect(() => {
-    dataService.fetchBoot().catch(() => {
-      /* meta handles error */
-    });
-    const unsubChats = dataService.subscribe("chats", setChats);
-    const unsubInsights = dataService.subscribe("insights", setInsights);
-    const unsubMsgs = dataService.subscribe("messagesById", () =>
-      setMessagesVersion((v) => v + 1)
-    );
-    const unsubMeta = dataService.subscribe("meta", (m) => {
-      setIsBooting(Boolean(m?.isBooting));
-      setLastError(m?.lastError || null);
-    });
+    const boot = () =>
+      dataService.fetchBoot().catch(() => {
+        /* meta handles error */
+      });
+    // new insights are watched for once the first page is in
+    let stopped = false;
+    boot().then(() => !stopped && dataService.startInsightRefresh());
+    // reconcile cached data and send what queued up once the network is back
+    const reconnect = () => {
+      boot();
+      dataService.flushOutbox();
+    };
+    window.addEventListener("online", reconnect);
+    // held deletes would otherwise be lost with the page
+    const flush = () => dataService.flushPendingDeletes();
+    window.addEventListener("pagehide", flush);
 
     return () => {
-      unsubChats();
-      unsubInsights();
-      unsubMsgs();
-      unsubMeta();
+      stopped = true;
+      dataService.stopInsightRefresh();
+      window.removeEventListener("online", reconnect);
+      window.removeEventListener("pagehide", flush);
     };
   }, []);
 
@@ -37,28 +39,37 @@ export function DataProvider({ children }) {
     () => ({
       uploadDocument: (...a) => dataService.uploadDocument(...a),
       createChat: (...a) => dataService.createChat(...a),
+      branchChat: (...a) => dataService.branchChat(...a),
       renameChat: (...a) => dataService.renameChat(...a),
       deleteChat: (...a) => dataService.deleteChat(...a),
+      undoDelete: (chatId) => dataService.undoDelete(chatId),
       loadMessages: (...a) => dataService.loadMessages(...a),
+      loadEarlierMessages: (...a) => dataService.loadEarlierMessages(...a),
+      loadMoreInsights: () => dataService.loadMoreInsights(),
+      loadMoreChats: () => dataService.loadMoreChats(),
+      acknowledgeNewInsights: () => dataService.acknowledgeNewInsights(),
+      markSeen: (threadId) => dataService.markSeen(threadId),
+      markAllSeen: (kind) => dataService.markAllSeen(kind),
       sendMessage: (...a) => dataService.sendMessage(...a),
+      retryMessage: (...a) => dataService.retryMessage(...a),
+      discardMessage: (...a) => dataService.discardMessage(...a),
+      regenerateAnswer: (...a) => dataService.regenerateAnswer(...a),
+      editQuestion: (...a) => dataService.editQuestion(...a),
+      selectVersion: (...a) => dataService.selectVersion(...a),
+      rateAnswer: (...a) => dataService.rateAnswer(...a),
       selectMessages: (threadId) => dataService.getMessages(threadId),
       setMessage: (threadId, message) =>
         dataService.setMessage(threadId, message),
       getLatestInsight: () =>
-        [...insights].sort(
+        [...dataService.insights].sort(
           (a, b) => new Date(b.updatedAt) - new Date(a.updatedAt)
         )[0],
       clearError: () => dataService.clearError(),
     }),
-    [insights]
-  );
-
-  const value = useMemo(
-    () => ({ chats, insights, messagesVersion, isBooting, lastError, ...api }),
-    [chats, insights, messagesVersion, isBooting, lastError, api]
+    []
   );
 
-  return <DataContext.Provider value={value}>{children}</DataContext.Provider>;
+  return <DataContext.Provider value={api}>{children}</DataContext.Provider>;
 }
 
 export function useData() {
@@ -0,0 +1,60 @@
+import { useCallback, useSyncExternalStore } from "react";
+import dataService from "../services/data-service";
+import { isUnread } from "../services/last-seen";
+
+/**
+ * Read hooks over the DataService store. Each one subscribes to a single
+ * state key and re-renders only when the value it selects changes identity,
+ * so a new message in one thread leaves the chat list and other threads
+ * alone. Actions still come from `useData()`.
+ *
+ * The store replaces what it changes (new arrays/objects) and keeps the rest,
+ * which is what makes the identity checks meaningful.
+ */
+
+const EMPTY = [];
+
+function useStoreSlice(key, select) {
+  const subscribe = useCallback(
+    (onChange) => dataService.subscribe(key, onChange),
+    [key]
+  );
+  const getSnapshot = () => select(dataService.state[key]);
+  return useSyncExternalStore(subscribe, getSnapshot);
+}
+
+const identity = (v) => v;
+
+export const useChats = () => useStoreSlice("chats", identity);
+export const useInsights = () => useStoreSlice("insights", identity);
+export const useOutbox = () => useStoreSlice("outbox", identity);
+export const useLastSeen = () => useStoreSlice("lastSeen", identity);
+
+export function useThreadMessages(threadId) {
+  return useStoreSlice("messagesById", (byId) => byId[threadId] ?? EMPTY);
+}
+
+/** Paging state of the "chats" or "insights" list (not of any thread). */
+export function useListPage(key) {
+  return useStoreSlice("pages", (pages) => pages[key]);
+}
+
+export function useThreadPage(threadId) {
+  return useStoreSlice("pages", (pages) => pages.threads[threadId]);
+}
+
+/** Whether one chat ("chats") or insight ("insights") has unseen updates. */
+export function useIsUnread(kind, id) {
+  const item = useStoreSlice(kind, (list) => list.find((x) => x.id === id));
+  const lastSeen = useLastSeen();
+  return Boolean(item) && isUnread(item, kind, lastSeen);
+}
+
+/**
+ * `useMeta()` for the whole meta object, or `useMeta((m) => m.isBooting)` to
+ * re-render on one field. Selectors must return a stored value or a
+ * primitive, never a freshly built object.
+ */
+export function useMeta(select = identity) {
+  return useStoreSlice("meta", select);
+}
@@ -2,9 +2,36 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { loadApiConfig, getMockConfig, resetApiConfig } from './api/config'
+import { configureTransport } from './api/client'
+import { initAuth } from './services/auth-service'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// only pulled into the bundle when the mock backend is switched on
+async function maybeInstallMocks() {
+  const mock = getMockConfig()
+  if (!mock) return
+  const { installMockBackend } = await import('./mocks')
+  installMockBackend(mock)
+}
+
+// a malformed config.json or a failing mock setup still gets the app on
+// screen, talking to the default API
+function fallBackToDefaults(err) {
+  console.error('[boot] falling back to the default API config', err)
+  configureTransport(null)
+  resetApiConfig()
+}
+
+// resolve the API base and auth provider before anything can issue a request
+loadApiConfig()
+  .then(maybeInstallMocks)
+  .catch(fallBackToDefaults)
+  .then(initAuth)
+  .catch((err) => console.error('[boot] auth setup failed', err))
+  .then(() => {
+    createRoot(document.getElementById('root')).render(
+      <StrictMode>
+        <App />
+      </StrictMode>,
+    )
+  })
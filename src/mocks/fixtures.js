@@ -0,0 +1,156 @@
+/**
+ * Seed data for the mock backend, in the wire format the real API returns
+ * (snake_case, `history` entries per chat). Kept as plain data so UI tests can
+ * import it and assert against the same records the app renders.
+ */
+
+const hoursAgo = (h) => new Date(Date.now() - h * 3600 * 1000).toISOString();
+
+export const insights = [
+  {
+    id: "ins-land-pooling",
+    title: "Land pooling progress — Q3 review",
+    updatedAt: hoursAgo(3),
+    summary:
+      "**92%** of targeted parcels are now pooled. Remaining holdouts are concentrated in two villages; grievance hearings are scheduled for next week.",
+    user_question: "Summarize the Q3 land pooling review",
+    type: "MEETING",
+    tags: ["Land pooling", "Q3", "Grievances"],
+  },
+  {
+    id: "ins-trunk-infra",
+    title: "Trunk infrastructure tender status",
+    updatedAt: hoursAgo(26),
+    summary:
+      "Seven of eleven trunk road packages are awarded. Storm-water drain packages are delayed by revised hydrology inputs.",
+    user_question: "What is the status of the trunk infrastructure tenders?",
+    type: "DOCUMENT",
+    tags: ["Tenders", "Roads", "Drainage"],
+  },
+  {
+    id: "ins-flood-study",
+    title: "Flood mitigation study briefing",
+    updatedAt: hoursAgo(72),
+    summary:
+      "Consultants recommend two additional reservoirs and widening of Kondaveeti Vagu. Cost estimates are due with the final report.",
+    user_question: "Brief me on the flood mitigation study",
+    type: "RECORDING",
+    tags: ["Flood", "Hydrology"],
+  },
+  {
+    id: "ins-citizen-calls",
+    title: "Citizen helpline — top issues this month",
+    updatedAt: hoursAgo(240),
+    summary:
+      "Plot registration delays and returnable plot allocation dominate calls. Average resolution time dropped to 4.2 days.",
+    user_question: "What were the top citizen helpline issues this month?",
+    type: "TRANSCRIPT",
+    tags: ["Helpline", "Registrations"],
+  },
+];
+
+export const chats = [
+  {
+    chat_id: "chat-budget",
+    title: "Budget utilisation FY24",
+    timestamp: hoursAgo(5),
+    last_answer:
+      "Capital expenditure utilisation stands at **68%** of the revised estimate.",
+  },
+  {
+    chat_id: "chat-metro",
+    title: "Metro corridor alignment",
+    timestamp: hoursAgo(50),
+    last_answer: "The revised alignment adds two stations near the seed area.",
+  },
+];
+
+export const histories = {
+  "chat-budget": [
+    {
+      ts: hoursAgo(5.2),
+      question: "How much of the FY24 capital budget has been used?",
+      answer:
+        "Capital expenditure utilisation stands at **68%** of the revised estimate [1].\n\n- Roads: 74%\n- Buildings: 61%\n- Utilities: 57%",
+      tags: [
+        {
+          name: "FY24 Budget Review.pdf",
+          file_url: "",
+          page: 4,
+          snippet:
+            "Utilisation against RE stood at 68% as of the end of Q3, led by road works.",
+        },
+        { name: "Finance committee minutes", file_url: "" },
+      ],
+      follow_up_questions: [
+        "Which departments are under-spending?",
+        "Compare with FY23 utilisation",
+      ],
+    },
+  ],
+  "chat-metro": [
+    {
+      ts: hoursAgo(50),
+      question: "What changed in the metro corridor alignment?",
+      answer: "The revised alignment adds two stations near the seed area.",
+      tags: [{ name: "Metro DPR addendum.pdf", file_url: "" }],
+      follow_up_questions: ["What is the revised cost?"],
+    },
+  ],
+  "ins-land-pooling": [],
+  "ins-trunk-infra": [],
+  "ins-flood-study": [],
+  "ins-citizen-calls": [],
+};
+
+export const mockUser = {
+  id: "mock-user",
+  name: "Demo User",
+  email: "demo@apcrda.example",
+};
+
+// canned answers for /search, picked round-robin
+export const answers = [
+  {
+    answer:
+      "Based on the latest documents, the work is **on track** [^progress-report]. Key points:\n\n1. Milestones for this quarter are met.\n2. Two packages need revised approvals [^approvals].\n3. The next review is scheduled for the 15th.",
+    tags: [
+      {
+        id: "progress-report",
+        name: "Progress report.pdf",
+        file_url: "",
+        snippet:
+          "All Q2 milestones were achieved within the approved schedule.",
+      },
+      {
+        id: "approvals",
+        name: "Approvals tracker.xlsx",
+        file_url: "",
+        snippet: "Packages 4 and 7 await revised administrative sanction.",
+      },
+      { name: "Site photos.zip", file_url: "" },
+    ],
+    follow_up_questions: [
+      "Which packages need revised approvals?",
+      "Who owns the next review?",
+    ],
+  },
+  {
+    answer:
+      "I couldn't find a direct figure, but the closest reference suggests an estimate of **₹1,240 crore**, pending the final committee sign-off.",
+    tags: [{ name: "Committee notes.docx", file_url: "" }],
+    follow_up_questions: ["When is the committee meeting?"],
+  },
+  {
+    answer:
+      "### Spend by department\n\n| Department | Budget (₹ cr) | Spent |\n|---|---:|---:|\n| Roads | 820 | 74% |\n| Buildings | 410 | 61% |\n| Utilities | 290 | 57% |\n\nThe figures come from the finance dashboard [1]. To reproduce them:\n\n```sql\nSELECT department, SUM(amount) AS spent\nFROM expenditure\nWHERE fiscal_year = 2024 -- FY24 only\nGROUP BY department;\n```",
+    tags: [
+      {
+        name: "Finance dashboard",
+        file_url: "",
+        snippet: "Department-wise utilisation, refreshed nightly.",
+      },
+    ],
+    follow_up_questions: ["Which projects drive the roads spend?"],
+  },
+];
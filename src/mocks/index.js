@@ -0,0 +1,13 @@
+import { configureTransport } from "../api/client";
+import { getApiBase } from "../api/config";
+import { createMockBackend } from "./mock-backend";
+
+export { createMockBackend };
+export * as fixtures from "./fixtures";
+
+/** Route every API call through an in-memory backend for this page load. */
+export function installMockBackend(options) {
+  const backend = createMockBackend({ getBase: getApiBase, ...options });
+  configureTransport(backend);
+  return backend;
+}
@@ -0,0 +1,276 @@
+import * as seed from "./fixtures";
+
+/**
+ * In-memory stand-in for the API. `createMockBackend()` returns a transport
+ * (see `configureTransport` in the client) backed by a mutable copy of the
+ * fixtures, with simulated latency and a random failure rate.
+ */
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abortError = () => new DOMException("Aborted", "AbortError");
+    if (signal?.aborted) return reject(abortError());
+    const onAbort = () => {
+      clearTimeout(t);
+      reject(abortError());
+    };
+    const t = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+const json = (status, body) =>
+  new Response(body == null ? "" : JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+
+// cheap content hash, good enough for a weak ETag
+function etagOf(body) {
+  const text = JSON.stringify(body);
+  let h = 0;
+  for (let i = 0; i < text.length; i++)
+    h = (Math.imul(31, h) + text.charCodeAt(i)) | 0;
+  return `W/"${(h >>> 0).toString(16)}"`;
+}
+
+// NDJSON body that trickles the answer out word by word, then a final frame
+function ndjsonStream(result, signal, tokenMs) {
+  const encoder = new TextEncoder();
+  const words = result.answer.split(/(\s+)/).filter(Boolean);
+  return new ReadableStream({
+    async start(controller) {
+      try {
+        for (const w of words) {
+          await delay(tokenMs, signal);
+          controller.enqueue(
+            encoder.encode(JSON.stringify({ delta: w }) + "\n")
+          );
+        }
+        const { answer, ...rest } = result;
+        controller.enqueue(
+          encoder.encode(JSON.stringify({ done: true, answer, ...rest }) + "\n")
+        );
+        controller.close();
+      } catch (err) {
+        controller.error(err);
+      }
+    },
+  });
+}
+
+// offset-based cursors, like the real API; null when `limit` wasn't sent
+function paginate(list, query) {
+  if (!query.has("limit")) return null;
+  const limit = Number(query.get("limit")) || list.length;
+  const offset = Number(query.get("cursor")) || 0;
+  const next = offset + limit < list.length ? String(offset + limit) : null;
+  return { items: list.slice(offset, offset + limit), next_cursor: next };
+}
+
+// history pages walk backwards from the newest entry
+function paginateHistory(history, query) {
+  if (!query.has("limit")) return { history, next_cursor: null };
+  const limit = Number(query.get("limit")) || history.length;
+  const offset = Number(query.get("cursor")) || 0;
+  const end = Math.max(0, history.length - offset);
+  const start = Math.max(0, end - limit);
+  return {
+    history: history.slice(start, end),
+    next_cursor: start > 0 ? String(offset + limit) : null,
+  };
+}
+
+export function createMockBackend({
+  getBase = () => "",
+  latencyMs = 400,
+  errorRate = 0,
+  tokenMs = 35,
+} = {}) {
+  let db;
+  let answerIdx = 0;
+
+  const reset = () => {
+    db = {
+      insights: clone(seed.insights),
+      chats: clone(seed.chats),
+      histories: clone(seed.histories),
+      feedback: {}, // message id -> latest submission
+    };
+    answerIdx = 0;
+  };
+  reset();
+
+  const session = () => ({
+    access_token: `mock-${Date.now()}`,
+    refresh_token: "mock-refresh",
+    expires_in: 3600,
+    user: seed.mockUser,
+  });
+
+  function route(method, path, query, body, init) {
+    const chatMatch = path.match(/^\/chats\/([^/]+)$/);
+
+    if (path === "/auth/login" && method === "POST")
+      return json(200, session());
+    if (path === "/auth/refresh" && method === "POST")
+      return json(200, session());
+    if (path === "/auth/logout" && method === "POST") return json(204);
+
+    if (path === "/insights" && method === "GET") {
+      const page = paginate(db.insights, query) ?? db.insights;
+      const etag = etagOf(page);
+      if (init.headers?.["If-None-Match"] === etag)
+        return new Response(null, { status: 304, headers: { ETag: etag } });
+      const res = json(200, page);
+      res.headers.set("ETag", etag);
+      return res;
+    }
+
+    if (path === "/chats/" && method === "GET")
+      return json(200, paginate(db.chats, query) ?? db.chats);
+    if (path === "/chats/" && method === "POST") {
+      const chat = {
+        chat_id: crypto.randomUUID(),
+        title: body?.title || "New Chat",
+        timestamp: new Date().toISOString(),
+        last_answer: body?.history?.at(-1)?.answer ?? "",
+        parent_id: body?.parent_id ?? null,
+      };
+      db.chats = [chat, ...db.chats];
+      db.histories[chat.chat_id] = body?.history ?? [];
+      return json(201, chat);
+    }
+
+    if (chatMatch) {
+      const id = decodeURIComponent(chatMatch[1]);
+      const exists = id in db.histories;
+      if (method === "GET") {
+        if (!exists) return json(404, { detail: "Chat not found" });
+        return json(200, {
+          chat_id: id,
+          ...paginateHistory(db.histories[id], query),
+        });
+      }
+      if (method === "PATCH") {
+        const chat = db.chats.find((c) => c.chat_id === id);
+        if (!chat) return json(404, { detail: "Chat not found" });
+        chat.title = body?.title || chat.title;
+        return json(200, chat);
+      }
+      if (method === "DELETE") {
+        if (!exists) return json(404, { detail: "Chat not found" });
+        db.chats = db.chats.filter((c) => c.chat_id !== id);
+        delete db.histories[id];
+        return json(200, { ok: true });
+      }
+    }
+
+    if (path === "/search" && method === "POST") {
+      if (!body?.question?.trim()) {
+        return json(422, {
+          detail: [
+            {
+              loc: ["body", "question"],
+              msg: "field required",
+              type: "value_error.missing",
+            },
+          ],
+        });
+      }
+      const canned = seed.answers[answerIdx++ % seed.answers.length];
+      const result = {
+        ...canned,
+        title: body.question.slice(0, 48),
+        message_id: crypto.randomUUID(),
+      };
+      const id = body.chat_id;
+      const ts = new Date().toISOString();
+      db.histories[id] = [
+        ...(db.histories[id] || []),
+        {
+          ts,
+          question: body.question,
+          message_id: result.message_id,
+          ...canned,
+        },
+      ];
+      if (body.chat_type === "question") {
+        const chat = db.chats.find((c) => c.chat_id === id);
+        if (chat)
+          Object.assign(chat, { timestamp: ts, last_answer: canned.answer });
+        else
+          db.chats.unshift({
+            chat_id: id,
+            title: result.title,
+            timestamp: ts,
+            last_answer: canned.answer,
+          });
+      }
+      const accept = init.headers?.Accept || "";
+      if (body.stream && accept.includes("ndjson")) {
+        return new Response(ndjsonStream(result, init.signal, tokenMs), {
+          status: 200,
+          headers: { "Content-Type": "application/x-ndjson" },
+        });
+      }
+      return json(200, result);
+    }
+
+    if (path === "/feedback" && method === "POST") {
+      if (!["up", "down"].includes(body?.rating))
+        return json(422, { detail: "rating must be 'up' or 'down'" });
+      db.feedback[body.message_id] = { ...body, ts: new Date().toISOString() };
+      return json(201, { ok: true });
+    }
+
+    if (path === "/upload/" && method === "POST") {
+      return json(200, { chat_id: query.get("chat_id"), status: "uploaded" });
+    }
+
+    return json(404, { detail: "Not Found" });
+  }
+
+  async function mockFetch(url, init = {}) {
+    const u = new URL(url, window.location.origin);
+    const basePath = new URL(getBase(), window.location.origin).pathname;
+    const path = u.pathname.slice(basePath.replace(/\/$/, "").length) || "/";
+    const method = (init.method || "GET").toUpperCase();
+
+    await delay(latencyMs * (0.5 + Math.random()), init.signal);
+    if (!path.startsWith("/auth/") && Math.random() < errorRate) {
+      return json(503, { detail: "Mock backend: simulated outage" });
+    }
+    let body = null;
+    try {
+      body = typeof init.body === "string" ? JSON.parse(init.body) : null;
+    } catch {
+      body = null;
+    }
+    return route(method, path, u.searchParams, body, init);
+  }
+
+  // uploads report progress in steps, then settle like the XHR path does
+  async function mockUpload(url, { onProgress } = {}) {
+    for (let pct = 20; pct <= 100; pct += 20) {
+      await delay(latencyMs / 3);
+      onProgress?.(pct);
+    }
+    const res = await mockFetch(url, { method: "POST" });
+    return { status: res.status, text: await res.text() };
+  }
+
+  return {
+    fetch: mockFetch,
+    upload: mockUpload,
+    reset,
+    get db() {
+      return db;
+    },
+  };
+}
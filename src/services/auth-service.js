@@ -0,0 +1,137 @@
+import * as api from "../api/client";
+import { providers, passwordProvider } from "../api/auth";
+import { getAuthProviderName } from "../api/config";
+
+const STORAGE_KEY = "insight-chat:auth";
+// refresh a little before the token actually expires
+const REFRESH_SKEW_MS = 30000;
+
+function readSession() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeSession(session) {
+  try {
+    if (session) localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    /* storage unavailable — session lasts for this tab only */
+  }
+}
+
+class AuthService {
+  constructor() {
+    this.provider = passwordProvider;
+    this.state = {
+      session: readSession(),
+      expired: false,
+    };
+    this.listeners = new Set();
+    this.refreshing = null;
+  }
+
+  subscribe(fn) {
+    this.listeners.add(fn);
+    fn(this.state);
+    return () => this.listeners.delete(fn);
+  }
+  _emit() {
+    this.state = { ...this.state };
+    for (const fn of this.listeners) fn(this.state);
+  }
+  _setSession(session, { expired = false } = {}) {
+    this.state.session = session;
+    this.state.expired = expired;
+    writeSession(session);
+    this._emit();
+  }
+
+  /** Swap the provider; anonymous providers sign in immediately. */
+  async use(provider) {
+    this.provider = provider;
+    if (provider.anonymous && !this.state.session) {
+      this._setSession(await provider.login());
+    }
+  }
+
+  get session() {
+    return this.state.session;
+  }
+  get isAnonymous() {
+    return Boolean(this.provider.anonymous);
+  }
+
+  async signIn(credentials) {
+    const session = await this.provider.login(credentials);
+    this._setSession(session);
+    return session;
+  }
+
+  async signOut({ expired = false } = {}) {
+    const session = this.state.session;
+    this._setSession(null, { expired });
+    if (!expired) {
+      try {
+        await this.provider.logout(session);
+      } catch {
+        /* server-side logout is best effort */
+      }
+    }
+  }
+
+  async getAccessToken() {
+    const session = this.state.session;
+    if (!session?.accessToken) return null;
+    if (session.expiresAt && session.expiresAt - REFRESH_SKEW_MS < Date.now()) {
+      await this.refresh();
+    }
+    return this.state.session?.accessToken || null;
+  }
+
+  /** Resolves true on a fresh token; concurrent calls share one request. */
+  refresh() {
+    if (this.refreshing) return this.refreshing;
+    const current = this.state.session;
+    this.refreshing = (async () => {
+      try {
+        const next = await this.provider.refresh(current);
+        if (!next?.accessToken) return false;
+        // a sign-out while refreshing wins
+        if (this.state.session !== current) return false;
+        this._setSession(next);
+        return true;
+      } catch {
+        return false;
+      } finally {
+        this.refreshing = null;
+      }
+    })();
+    return this.refreshing;
+  }
+
+  handleUnauthorized() {
+    if (!this.state.session || this.isAnonymous) return;
+    this.signOut({ expired: true });
+  }
+}
+
+const authService = new AuthService();
+
+api.configureAuth({
+  getAccessToken: () => authService.getAccessToken(),
+  peekAccessToken: () => authService.session?.accessToken ?? null,
+  refresh: () => authService.refresh(),
+  onUnauthorized: () => authService.handleUnauthorized(),
+});
+
+export function initAuth() {
+  const provider = providers[getAuthProviderName()] || passwordProvider;
+  return authService.use(provider);
+}
+
+export default authService;
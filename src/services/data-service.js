@@ -1,5 +1,183 @@
 import * as api from "../api/client";
+import { getApiBase, getInsightsFeedConfig } from "../api/config";
 import { makeUUID, nowIso } from "../utils/utils";
+import RequestCache, { cacheKey } from "./request-cache";
+import { createIdbStore } from "./persistence";
+import { createTabSync } from "./tab-sync";
+import { createInsightFeed } from "./insight-feed";
+import {
+  emptyLastSeen,
+  mergeLastSeen,
+  readLastSeen,
+  seenAt,
+  writeLastSeen,
+} from "./last-seen";
+
+const emptyPage = () => ({ nextCursor: null, isLoading: false });
+
+// add items from another page, skipping ids we already hold
+function mergeById(existing, incoming, { prepend = false } = {}) {
+  const seen = new Set(existing.map((x) => x.id));
+  const fresh = incoming.filter((x) => !seen.has(x.id));
+  return prepend ? [...fresh, ...existing] : [...existing, ...fresh];
+}
+
+// how long a cached read is served before it is revalidated in the background
+const TTL = {
+  lists: 60 * 1000,
+  thread: 30 * 1000,
+};
+
+const keys = {
+  insights: () => cacheKey("/insights"),
+  chats: () => cacheKey("/chats/"),
+  thread: (threadId, chatType) => cacheKey(`/chats/${threadId}`, { chatType }),
+};
+
+const PERSIST_DELAY_MS = 500;
+// how long a deleted chat can still be restored before DELETE is sent
+const UNDO_DELETE_MS = 5000;
+// outbox replay after the server was unreachable: 2s, 4s, 8s… up to a minute
+const REPLAY_BASE_DELAY_MS = 2000;
+const REPLAY_MAX_DELAY_MS = 60 * 1000;
+
+// streaming drafts are transient; a reload should not resurrect half answers
+// (an answer being regenerated is saved as it was before)
+const persistable = (messages) =>
+  messages.flatMap((m) =>
+    !m.streaming ? [m] : m.regenerating ? [m.regenerating] : []
+  );
+
+/*
+ * Answer versions: an answer that was regenerated carries every variant in
+ * `versions` (with the question each was asked as) and `version`, the index
+ * on screen. Its own fields always mirror that version.
+ */
+const versionOf = (answer, question) => ({
+  question,
+  content: answer.content,
+  tags: answer.tags,
+  followUps: answer.followUps,
+  serverId: answer.serverId,
+  feedback: answer.feedback,
+});
+const showVersion = (answer, version) => {
+  const { question: _question, ...fields } = answer.versions[version];
+  return { ...answer, ...fields, version };
+};
+
+// the server only appends, so each regenerated answer also comes back as a
+// new turn at the end; fold those back into the answer they are versions of
+function foldVersions(items, local) {
+  const out = [...items];
+  for (const answer of local) {
+    if (!(answer.versions?.length > 1)) continue;
+    const [original, ...rest] = answer.versions;
+    let idx = out.findIndex((m) => m.id === answer.id);
+    if (idx < 0)
+      idx = out.findIndex(
+        (m) => m.type === "ai" && m.content === original.content
+      );
+    if (idx < 1) continue;
+    for (const v of rest) {
+      const j = out.findIndex(
+        (m, k) =>
+          k > idx &&
+          m.type === "ai" &&
+          m.content === v.content &&
+          out[k - 1].type === "user" &&
+          out[k - 1].content === v.question
+      );
+      if (j > 0) out.splice(j - 1, 2);
+    }
+    const shown = { ...out[idx], versions: answer.versions };
+    out[idx] = showVersion(shown, answer.version);
+    if (out[idx - 1].type === "user")
+      out[idx - 1] = {
+        ...out[idx - 1],
+        content: answer.versions[answer.version].question,
+      };
+  }
+  return out;
+}
+
+// ratings are only known to this device; keep them when the server's copy
+// of the thread replaces ours (by id, or by content for answers sent here)
+function carryFeedback(items, local) {
+  const rated = local.filter((m) => m.feedback && !m.versions);
+  if (!rated.length) return items;
+  const byId = new Map(rated.map((m) => [m.id, m.feedback]));
+  const byContent = new Map(rated.map((m) => [m.content, m.feedback]));
+  return items.map((m) => {
+    if (m.type !== "ai" || m.feedback) return m;
+    const feedback = byId.get(m.id) ?? byContent.get(m.content);
+    return feedback ? { ...m, feedback } : m;
+  });
+}
+
+/*
+ * Local messages a server copy of the thread doesn't replace, kept after its
+ * history: questions the server never got, and turns cut short (the question
+ * and its partial answer) unless the server has that question after all.
+ */
+function keptLocally(items, local) {
+  const known = new Set(local.map((m) => m.id));
+  const stored = new Set(
+    items
+      .filter((m) => m.type === "user" && !known.has(m.id))
+      .map((m) => m.content)
+  );
+  return local.filter((m, i) => {
+    const question = m.type === "user" ? m : local[i - 1];
+    const answer = m.type === "user" ? local[i + 1] : m;
+    // a turn cut short (stopped, or its reply broke off) may have been stored
+    if (question?.status === "stopped" || answer?.status === "stopped")
+      return (
+        ["stopped", "failed"].includes(m.status) &&
+        !stored.has(question?.content)
+      );
+    return ["pending", "queued", "failed"].includes(m.status);
+  });
+}
+
+// a question still pending when the page went away never got its answer
+const interrupted = (m) =>
+  m.status === "pending"
+    ? {
+        ...m,
+        status: "failed",
+        error: { message: "Not sent before the page was closed." },
+      }
+    : m;
+
+// another tab's thread without the work in flight there: questions it has
+// yet to send (or retry) stay with that tab, and turns it stopped arrive as
+// plain history
+const settled = (messages) =>
+  messages.flatMap((m) => {
+    if (["pending", "queued", "failed"].includes(m.status)) return [];
+    if (m.status !== "stopped") return [m];
+    const { status: _status, error: _error, ...rest } = m;
+    return [rest];
+  });
+
+const isOffline = () =>
+  typeof navigator !== "undefined" && navigator.onLine === false;
+
+// Web Locks where available, so only one tab replays the outbox at a time
+const withLock = (name, fn) =>
+  typeof navigator !== "undefined" && navigator.locks
+    ? navigator.locks.request(name, fn)
+    : fn();
+
+/*
+ * Cross-tab conflicts: every synced write is stamped with a Lamport clock and
+ * the tab's id. Per chat and per thread the highest stamp wins (clock first,
+ * tab id breaks ties), so all tabs settle on the same value whatever order
+ * the messages arrive in.
+ */
+const newer = (a, b) =>
+  !b || a.at > b.at || (a.at === b.at && a.origin > b.origin);
 
 class DataService {
   constructor() {
@@ -7,12 +185,98 @@ class DataService {
       insights: [],
       chats: [],
       messagesById: {},
+      // unsent questions/uploads, oldest first (see "Outbox" below)
+      outbox: [],
+      // what the user has looked at (see "Read state" below)
+      lastSeen: readLastSeen(),
+      // next-page cursors per list; thread cursors point at older messages
+      pages: {
+        insights: emptyPage(),
+        chats: emptyPage(),
+        threads: {},
+      },
       meta: {
-        isBooting: false,
+        // true until the first boot has something to show
+        isBooting: true,
         lastError: null,
+        // `{ chatId, title }` of the latest delete that can still be undone
+        pendingDelete: null,
+        // what is on screen came from IndexedDB and awaits the server
+        isCached: false,
+        // insights the refresh brought in that the user hasn't looked at yet
+        newInsightIds: [],
       },
     };
     this.listeners = new Map();
+    this.cache = new RequestCache();
+    this.store = createIdbStore();
+    this._hydrated = null;
+    this._persistTimer = null;
+    this._dirty = new Set(); // "insights" | "chats" | "messagesById"
+    this._savedThreads = {}; // thread id -> messages array last written
+    this._flushing = null; // outbox replay in progress
+    this._savedOutbox = new Set(); // outbox entry ids known to be in IndexedDB
+    this._replayTimer = null; // next replay after the server was unreachable
+    this._replayAttempt = 0;
+    this._earlierLoads = new Map(); // thread id -> older-page request in flight
+    // chat id -> { chat, index, timer, resolve, reject }
+    this._pendingDeletes = new Map();
+    this._tabId = makeUUID();
+    this._clock = 0;
+    this._versions = new Map(); // "chat:<id>" | "thread:<id>" -> { at, origin }
+    this._sync = createTabSync((msg) => this._receive(msg));
+    this._insightFeed = null;
+    this._insightValidators = {}; // { etag, lastModified } of the last poll
+    this._conditionalPolls = true; // off once the API is seen to refuse them
+  }
+
+  // drop everything cached for the signed-in user (sign-out, session expiry)
+  reset() {
+    this.cache.clear();
+    clearTimeout(this._persistTimer);
+    clearTimeout(this._replayTimer);
+    this._replayAttempt = 0;
+    // held deletes are dropped unsent, as if undone
+    this._pendingDeletes.forEach((p) => {
+      clearTimeout(p.timer);
+      p.resolve();
+    });
+    this._pendingDeletes.clear();
+    this._versions.clear();
+    this._dirty.clear();
+    this._savedThreads = {};
+    this._savedOutbox.clear();
+    this._insightValidators = {};
+    this._conditionalPolls = true;
+    this.store.clear();
+    this.state.insights = [];
+    this.state.chats = [];
+    this.state.messagesById = {};
+    this.state.outbox = [];
+    this.state.lastSeen = emptyLastSeen();
+    writeLastSeen(null);
+    this.state.pages = {
+      insights: emptyPage(),
+      chats: emptyPage(),
+      threads: {},
+    };
+    this.state.meta = {
+      isBooting: true,
+      lastError: null,
+      pendingDelete: null,
+      isCached: false,
+      newInsightIds: [],
+    };
+    for (const key of [
+      "insights",
+      "chats",
+      "messagesById",
+      "outbox",
+      "lastSeen",
+      "pages",
+      "meta",
+    ])
+      this._emit(key);
   }
 
   subscribe(key, fn) {
@@ -27,27 +291,192 @@ class DataService {
     };
   }
   _emit(key) {
+    if (key === "insights" || key === "chats" || key === "messagesById")
+      this._schedulePersist(key);
     const set = this.listeners.get(key);
     if (!set) return;
     for (const fn of set) fn(this.state[key]);
   }
 
-  _setBooting(v) {
-    this.state.meta.isBooting = Boolean(v);
+  /*
+   * Persistence: state is restored from IndexedDB once per page load, then
+   * written back (debounced) whenever a persisted key is emitted. Threads are
+   * replaced immutably, so a changed array reference marks a thread dirty.
+   */
+  hydrate() {
+    this._hydrated ??= this.store.load().then((snapshot) => {
+      if (!snapshot) return false;
+      const { lists, threads, outbox } = snapshot;
+      let restored = false;
+      outbox.forEach((x) => this._savedOutbox.add(x.id));
+      if (outbox.length) {
+        const held = new Set(this.state.outbox.map((x) => x.id));
+        this.state.outbox = [
+          ...outbox.filter((x) => !held.has(x.id)),
+          ...this.state.outbox,
+        ];
+        this._emit("outbox");
+      }
+      for (const key of ["insights", "chats"])
+        if (lists[key]?.length && !this.state[key].length) {
+          this.state[key] = lists[key];
+          restored = true;
+          this._emit(key);
+        }
+      const queued = new Set(outbox.map((x) => x.questionId));
+      const ids = Object.keys(threads).filter(
+        (id) => !this.state.messagesById[id]
+      );
+      if (ids.length) {
+        const messagesById = { ...this.state.messagesById };
+        const pageThreads = { ...this.state.pages.threads };
+        for (const id of ids) {
+          messagesById[id] = threads[id].messages.map((m) =>
+            queued.has(m.id) ? { ...m, status: "queued" } : interrupted(m)
+          );
+          this._savedThreads[id] = threads[id].messages;
+          pageThreads[id] = {
+            ...emptyPage(),
+            nextCursor: threads[id].nextCursor ?? null,
+            cached: true,
+          };
+        }
+        this.state.messagesById = messagesById;
+        this._setPage("threads", pageThreads);
+        this._emit("messagesById");
+        restored = true;
+      }
+      if (restored) this._setMeta({ isCached: true });
+      return restored;
+    });
+    return this._hydrated;
+  }
+
+  _schedulePersist(key) {
+    this._dirty.add(key);
+    clearTimeout(this._persistTimer);
+    this._persistTimer = setTimeout(() => this._persist(), PERSIST_DELAY_MS);
+  }
+
+  _persist() {
+    const lists = {};
+    const threads = {};
+    for (const key of this._dirty)
+      if (key !== "messagesById")
+        lists[key] = this.state[key].filter((x) => !x.pending);
+    if (this._dirty.has("messagesById")) {
+      const current = this.state.messagesById;
+      for (const [id, messages] of Object.entries(current))
+        if (this._savedThreads[id] !== messages) {
+          threads[id] = {
+            messages: persistable(messages),
+            nextCursor: this.getThreadPage(id).nextCursor,
+          };
+          this._savedThreads[id] = messages;
+        }
+      for (const id of Object.keys(this._savedThreads))
+        if (!current[id]) {
+          threads[id] = null;
+          delete this._savedThreads[id];
+        }
+    }
+    this._dirty.clear();
+    return this.store.save({ lists, threads });
+  }
+
+  /*
+   * Tab sync: local writes that settled are broadcast; other tabs apply them
+   * through the usual `_emit` path and never re-broadcast what they receive.
+   */
+  _stamp(entity) {
+    const stamp = { at: ++this._clock, origin: this._tabId };
+    this._versions.set(entity, stamp);
+    return stamp;
+  }
+
+  _broadcast(kind, entity, payload) {
+    this._sync.post({ kind, stamp: this._stamp(entity), ...payload });
+  }
+  _broadcastChat(chatId) {
+    const chat = this.state.chats.find((c) => c.id === chatId);
+    if (chat) this._broadcast("chat", `chat:${chatId}`, { chat });
+  }
+  _broadcastThread(threadId) {
+    this._broadcast("thread", `thread:${threadId}`, {
+      threadId,
+      messages: persistable(this.getMessages(threadId)),
+    });
+  }
+
+  _receive({ kind, stamp, ...payload }) {
+    // read state merges by max, so it needs no stamps
+    if (kind === "seen") return this._setLastSeen(payload.lastSeen, false);
+    this._clock = Math.max(this._clock, stamp.at);
+    const entity =
+      kind === "thread"
+        ? `thread:${payload.threadId}`
+        : `chat:${payload.id ?? payload.chat?.id}`;
+    if (!newer(stamp, this._versions.get(entity))) return;
+    this._versions.set(entity, stamp);
+
+    if (kind === "chat") {
+      const { chat } = payload;
+      if (this._pendingDeletes.has(chat.id)) return;
+      const exists = this.state.chats.some((c) => c.id === chat.id);
+      this.state.chats = exists
+        ? this.state.chats.map((c) => (c.id === chat.id ? chat : c))
+        : [chat, ...this.state.chats];
+      this._emit("chats");
+      this.cache.invalidate(keys.chats());
+    } else if (kind === "chatRemoved") {
+      const pending = this._pendingDeletes.get(payload.id);
+      if (pending) {
+        clearTimeout(pending.timer);
+        this._pendingDeletes.delete(payload.id);
+        this._clearPendingDelete(payload.id);
+        pending.resolve();
+      }
+      this.state.chats = this.state.chats.filter((c) => c.id !== payload.id);
+      const { [payload.id]: _rm, ...rest } = this.state.messagesById;
+      this.state.messagesById = rest;
+      this._emit("chats");
+      this._emit("messagesById");
+      this._invalidateFor("deleteChat", payload.id);
+    } else if (kind === "thread") {
+      const { threadId } = payload;
+      const messages = settled(payload.messages);
+      // the rest follows the winner, but this tab's unsent or cut-short turns
+      // and an answer streaming into it stay, as on a server refresh
+      const local = this.getMessages(threadId);
+      const kept = new Set(keptLocally(messages, local));
+      this.state.messagesById = {
+        ...this.state.messagesById,
+        [threadId]: mergeById(
+          messages,
+          local.filter((m) => m.streaming || kept.has(m))
+        ),
+      };
+      this._emit("messagesById");
+      this.cache.invalidate(`/chats/${threadId}`);
+    }
+  }
+
+  // meta is replaced, never mutated, so selector hooks see the change
+  _setMeta(patch) {
+    this.state.meta = { ...this.state.meta, ...patch };
     this._emit("meta");
   }
+  _setBooting(v) {
+    this._setMeta({ isBooting: Boolean(v) });
+  }
+  // lastError is `{ message, details }`; cancelled requests are not errors
   _setError(err) {
-    const msg =
-      err?.message ||
-      (typeof err === "string"
-        ? err
-        : "Something went wrong. Please try again.");
-    this.state.meta.lastError = msg;
-    this._emit("meta");
+    const described = api.describeError(err);
+    if (!described) return;
+    this._setMeta({ lastError: described });
   }
   clearError() {
-    this.state.meta.lastError = null;
-    this._emit("meta");
+    this._setMeta({ lastError: null });
   }
 
   get chats() {
@@ -62,31 +491,150 @@ class DataService {
   getMessages(threadId) {
     return this.state.messagesById[threadId] || [];
   }
+  /*
+   * Adds the user's question and returns its id. Questions carry a delivery
+   * `status`: "pending" until `sendMessage` settles, then "sent", "failed"
+   * (with `error: { message, details }`) or "stopped". History loaded from
+   * the server has no status and counts as sent.
+   */
   setMessage(threadId, message) {
     const iso = nowIso();
-    this.state.messagesById[threadId] = [
-      ...(this.state.messagesById[threadId] || []),
-      {
-        id: `${threadId}-${iso}-q`,
-        type: "user",
-        content: (message || "").trim(),
-        createdAt: iso,
-      },
+    const id = `${threadId}-${iso}-q`;
+    this._upsertMessage(threadId, {
+      id,
+      type: "user",
+      content: (message || "").trim(),
+      createdAt: iso,
+      status: "pending",
+    });
+    return id;
+  }
+  _setMessageStatus(threadId, messageId, status, extra = {}) {
+    const msg = this.getMessages(threadId).find((m) => m.id === messageId);
+    if (msg) this._upsertMessage(threadId, { ...msg, status, ...extra });
+  }
+  _upsertMessage(threadId, message) {
+    const list = this.state.messagesById[threadId] || [];
+    const exists = list.some((m) => m.id === message.id);
+    this.state.messagesById = {
+      ...this.state.messagesById,
+      [threadId]: exists
+        ? list.map((m) => (m.id === message.id ? message : m))
+        : [...list, message],
+    };
+    this._emit("messagesById");
+  }
+  _removeMessage(threadId, messageId) {
+    const list = this.state.messagesById[threadId];
+    if (!list?.some((m) => m.id === messageId)) return;
+    this.state.messagesById = {
+      ...this.state.messagesById,
+      [threadId]: list.filter((m) => m.id !== messageId),
+    };
+    this._emit("messagesById");
+  }
+
+  _setPage(key, patch) {
+    this.state.pages = {
+      ...this.state.pages,
+      [key]: { ...this.state.pages[key], ...patch },
+    };
+    this._emit("pages");
+  }
+  _setThreadPage(threadId, patch) {
+    const threads = this.state.pages.threads;
+    this._setPage("threads", {
+      [threadId]: { ...(threads[threadId] || emptyPage()), ...patch },
+    });
+  }
+  getThreadPage(threadId) {
+    return this.state.pages.threads[threadId] || emptyPage();
+  }
+
+  /*
+   * Reads go through the request cache. A revalidated first page replaces the
+   * list (and its cursor) so we converge on what the server has now.
+   */
+  _applyFirstPage(key, { items, nextCursor }) {
+    // a branch keeps its parent link even if the server doesn't echo it
+    const parents = new Map(
+      this.state[key].filter((x) => x.parentId).map((x) => [x.id, x.parentId])
+    );
+    // a chat still being created keeps its placeholder until it lands
+    const inFlight = this.state[key].filter((x) => x.pending);
+    // chats waiting out their undo window stay hidden
+    this.state[key] = [
+      ...inFlight,
+      ...items
+        .filter((x) => !this._pendingDeletes.has(x.id))
+        .map((x) =>
+          !x.parentId && parents.has(x.id)
+            ? { ...x, parentId: parents.get(x.id) }
+            : x
+        ),
     ];
+    this._setPage(key, { nextCursor, isLoading: false });
+    this._emit(key);
+  }
+
+  _applyThread(threadId, { items, nextCursor }) {
+    // never clobber an answer that is still streaming in
+    if (this.getMessages(threadId).some((m) => m.streaming)) return;
+    const local = this.getMessages(threadId);
+    const unsent = keptLocally(items, local);
+    this.state.messagesById = {
+      ...this.state.messagesById,
+      [threadId]: mergeById(
+        carryFeedback(foldVersions(items, local), local),
+        unsent
+      ),
+    };
+    this._setThreadPage(threadId, {
+      nextCursor,
+      isLoading: false,
+      cached: false,
+    });
     this._emit("messagesById");
   }
 
+  // what each write makes stale; called once the write has gone through
+  _invalidateFor(action, threadId) {
+    switch (action) {
+      case "createChat":
+      case "renameChat":
+        this.cache.invalidate(keys.chats());
+        break;
+      case "deleteChat":
+        this.cache.invalidate(keys.chats());
+        this.cache.invalidate(`/chats/${threadId}`);
+        break;
+      case "sendMessage":
+        this.cache.invalidate(`/chats/${threadId}`);
+        this.cache.invalidate(keys.chats());
+        this.cache.invalidate(keys.insights());
+        break;
+      default:
+    }
+  }
+
+  // cached lists render straight from IndexedDB while the server is asked
   async fetchBoot() {
-    this._setBooting(true);
+    await this.hydrate();
+    this._setBooting(!this.state.chats.length && !this.state.insights.length);
+    const read = (key, fetchPage) =>
+      this.cache.swr(keys[key](), fetchPage, {
+        ttlMs: TTL.lists,
+        onRevalidate: (page) => this._applyFirstPage(key, page),
+      });
     try {
       const [insights, chats] = await Promise.all([
-        api.getInsights(),
-        api.listChats(),
+        read("insights", () => api.getInsights()),
+        read("chats", () => api.listChats()),
       ]);
-      this.state.insights = Array.isArray(insights) ? insights : [];
-      this.state.chats = Array.isArray(chats) ? chats : [];
-      this._emit("insights");
-      this._emit("chats");
+      this._applyFirstPage("insights", insights);
+      this._applyFirstPage("chats", chats);
+      this._setMeta({ isCached: false });
+      this.flushOutbox();
       return this.state;
     } catch (err) {
       this._setError(err);
@@ -96,68 +644,359 @@ class DataService {
     }
   }
 
-  async createChat() {
-    const chat = {
-      id: makeUUID(),
-      title: "New Chat",
+  // next page of "insights" or "chats"; no-op on the last page or mid-load
+  async _loadMore(key, fetchPage) {
+    const page = this.state.pages[key];
+    if (page.nextCursor == null || page.isLoading) return;
+    this._setPage(key, { isLoading: true });
+    try {
+      const { items, nextCursor } = await fetchPage(page.nextCursor);
+      this.state[key] = mergeById(this.state[key], items);
+      this._emit(key);
+      this._setPage(key, { nextCursor, isLoading: false });
+    } catch (err) {
+      this._setPage(key, { isLoading: false });
+      this._setError(err);
+      throw err;
+    }
+  }
+  loadMoreInsights() {
+    return this._loadMore("insights", (cursor) => api.getInsights({ cursor }));
+  }
+  loadMoreChats() {
+    return this._loadMore("chats", (cursor) => api.listChats({ cursor }));
+  }
+
+  /*
+   * The placeholder row shows at once (flagged `pending`) and is swapped in
+   * place for the server's chat, whose id is the one callers get back.
+   */
+  async createChat(
+    title = "New Chat",
+    { starterMessage = "", parentId = null, messages } = {}
+  ) {
+    const placeholder = {
+      id: `pending-${makeUUID()}`,
+      title,
       updatedAt: nowIso(),
       lastMessage: "",
+      parentId,
+      pending: true,
     };
-    this.state.chats = [chat, ...this.state.chats];
+    this.state.chats = [placeholder, ...this.state.chats];
     this._emit("chats");
+    try {
+      const created = await api.createChat({
+        title,
+        starterMessage,
+        parentId,
+        messages,
+      });
+      const chat = { ...created, parentId: created.parentId ?? parentId };
+      // a list revalidated meanwhile may already hold the new chat
+      this.state.chats = this.state.chats
+        .filter((c) => c.id !== chat.id)
+        .map((c) => (c.id === placeholder.id ? chat : c));
+      this._emit("chats");
+      this._invalidateFor("createChat", chat.id);
+      this._broadcastChat(chat.id);
+      return chat;
+    } catch (err) {
+      this.state.chats = this.state.chats.filter(
+        (c) => c.id !== placeholder.id
+      );
+      this._emit("chats");
+      this._setError(err);
+      throw err;
+    }
+  }
+
+  /*
+   * Branching: a new chat that starts with the parent thread's history up to
+   * and including the turn of `messageId`, and remembers `parentId`. The
+   * parent may be a chat or an insight thread.
+   */
+  async branchChat(threadId, messageId, chatType) {
+    // the copy has to start at the real beginning, not the first loaded page;
+    // every pass waits on a request, and a cursor the server repeats ends it
+    let cursor = this.getThreadPage(threadId).nextCursor;
+    while (cursor != null) {
+      await this.loadEarlierMessages(threadId, chatType);
+      const next = this.getThreadPage(threadId).nextCursor;
+      if (next === cursor) break;
+      cursor = next;
+    }
+    const list = this.getMessages(threadId);
+    let end = list.findIndex((m) => m.id === messageId);
+    if (end < 0) throw new Error("Message not found in this thread");
+    if (list[end].type === "user" && list[end + 1]?.type === "ai") end += 1;
+    // only what the server has answered is copied; versions stay behind
+    const history = list
+      .slice(0, end + 1)
+      .filter(
+        (m) =>
+          !m.streaming && !["pending", "queued", "failed"].includes(m.status)
+      )
+      .map((m) => {
+        const { versions: _v, version: _i, status: _s, error: _e, ...copy } = m;
+        return copy;
+      });
+    const parent =
+      this.state.chats.find((c) => c.id === threadId) ??
+      this.state.insights.find((x) => x.id === threadId);
+    const chat = await this.createChat(`Branch of ${parent?.title || "chat"}`, {
+      parentId: threadId,
+      messages: history,
+    });
+    const messages = history.map((m, i) => ({
+      ...m,
+      id: `${chat.id}-${m.createdAt || `idx${i}`}-${
+        m.type === "user" ? "q" : "a"
+      }`,
+    }));
+    this.state.messagesById = {
+      ...this.state.messagesById,
+      [chat.id]: messages,
+    };
+    this._setThreadPage(chat.id, { ...emptyPage(), cached: false });
+    this._emit("messagesById");
+    const lastAnswer = [...messages].reverse().find((m) => m.type === "ai");
+    if (lastAnswer && !chat.lastMessage) {
+      this._patchChat(chat.id, { lastMessage: lastAnswer.content });
+      this._broadcastChat(chat.id);
+    }
+    this._broadcastThread(chat.id);
     return chat;
   }
 
+  _patchChat(chatId, patch) {
+    this.state.chats = this.state.chats.map((c) =>
+      c.id === chatId ? { ...c, ...patch } : c
+    );
+    this._emit("chats");
+  }
+
+  // the new title shows at once and is put back if the server refuses it
   async renameChat(chatId, newTitle) {
+    const before = this.state.chats.find((c) => c.id === chatId);
+    if (!before) return null;
+    this._patchChat(chatId, { title: newTitle });
     try {
       const updated = await api.renameChat(chatId, newTitle);
-      this.state.chats = this.state.chats.map((c) =>
-        c.id === chatId ? updated : c
-      );
-      this._emit("chats");
-      return updated;
+      if (updated) this._patchChat(chatId, updated);
+      this._invalidateFor("renameChat", chatId);
+      this._broadcastChat(chatId);
+      return this.state.chats.find((c) => c.id === chatId) ?? null;
     } catch (err) {
+      // only roll back if nothing renamed it again in the meantime
+      const current = this.state.chats.find((c) => c.id === chatId);
+      if (current?.title === newTitle)
+        this._patchChat(chatId, { title: before.title });
       this._setError(err);
       throw err;
     }
   }
 
-  async deleteChat(chatId) {
+  /*
+   * Deletes are soft for UNDO_DELETE_MS: the chat leaves the list at once but
+   * DELETE is only sent when the window closes. `undoDelete` puts it back in
+   * its old position; a failed DELETE does the same and reports the error.
+   * Resolves once the chat is gone on the server (or the delete was undone).
+   */
+  deleteChat(chatId, { undoMs = UNDO_DELETE_MS } = {}) {
+    const index = this.state.chats.findIndex((c) => c.id === chatId);
+    if (index === -1 || this._pendingDeletes.has(chatId))
+      return Promise.resolve();
+    const chat = this.state.chats[index];
+    this.state.chats = this.state.chats.filter((c) => c.id !== chatId);
+    this._emit("chats");
+    this._setMeta({ pendingDelete: { chatId, title: chat.title } });
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(
+        () => this._commitDelete(chatId).then(resolve, reject),
+        undoMs
+      );
+      this._pendingDeletes.set(chatId, {
+        chat,
+        index,
+        timer,
+        resolve,
+        reject,
+      });
+    });
+  }
+
+  undoDelete(chatId) {
+    const pending = this._pendingDeletes.get(chatId);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    this._restoreChat(chatId);
+    pending.resolve();
+  }
+
+  // send every held DELETE now because the page is being closed; the
+  // requests start before this returns so they outlive the page
+  flushPendingDeletes() {
+    return Promise.allSettled(
+      [...this._pendingDeletes.entries()].map(
+        ([chatId, { timer, resolve, reject }]) => {
+          clearTimeout(timer);
+          return this._commitDelete(chatId, { unloading: true }).then(
+            resolve,
+            reject
+          );
+        }
+      )
+    );
+  }
+
+  _restoreChat(chatId) {
+    const { chat, index } = this._pendingDeletes.get(chatId);
+    this._pendingDeletes.delete(chatId);
+    const chats = [...this.state.chats];
+    chats.splice(Math.min(index, chats.length), 0, chat);
+    this.state.chats = chats;
+    this._emit("chats");
+    this._clearPendingDelete(chatId);
+  }
+
+  _clearPendingDelete(chatId) {
+    if (this.state.meta.pendingDelete?.chatId === chatId)
+      this._setMeta({ pendingDelete: null });
+  }
+
+  async _commitDelete(chatId, { unloading = false } = {}) {
+    if (!this._pendingDeletes.has(chatId)) return;
     try {
-      await api.deleteChat(chatId);
+      await (unloading
+        ? api.deleteChatOnUnload(chatId)
+        : api.deleteChat(chatId));
+      this._pendingDeletes.delete(chatId);
+      this._clearPendingDelete(chatId);
       const { [chatId]: _rm, ...rest } = this.state.messagesById;
       this.state.messagesById = rest;
-      this.state.chats = this.state.chats.filter((c) => c.id !== chatId);
       this._emit("messagesById");
-      this._emit("chats");
+      this._invalidateFor("deleteChat", chatId);
+      this._broadcast("chatRemoved", `chat:${chatId}`, { id: chatId });
     } catch (err) {
+      this._restoreChat(chatId);
       this._setError(err);
       throw err;
     }
   }
 
+  /*
+   * Cached history shows at once and a stale copy is refreshed in the
+   * background. A thread we already hold is left alone on a cache hit: it may
+   * have earlier pages or local drafts the cached first page lacks.
+   */
   async loadMessages(threadId, chatType) {
+    const key = keys.thread(threadId, chatType);
+    const cached = this.cache.peek(key);
+    try {
+      const page = await this.cache.swr(
+        key,
+        () => api.listMessages(threadId, chatType),
+        {
+          ttlMs: TTL.thread,
+          onRevalidate: (fresh) => this._applyThread(threadId, fresh),
+        }
+      );
+      if (!cached || !this.state.messagesById[threadId])
+        this._applyThread(threadId, page);
+      return this.getMessages(threadId);
+    } catch (err) {
+      // whatever we already hold stays readable, flagged as not confirmed
+      if (this.state.messagesById[threadId])
+        this._setThreadPage(threadId, { cached: true });
+      this._setError(err);
+      throw err;
+    }
+  }
+
+  // a second call while a page is on its way gets that same request
+  loadEarlierMessages(threadId, chatType) {
+    if (this._earlierLoads.has(threadId))
+      return this._earlierLoads.get(threadId);
+    if (this.getThreadPage(threadId).nextCursor == null)
+      return Promise.resolve([]);
+    const load = this._loadEarlier(threadId, chatType).finally(() =>
+      this._earlierLoads.delete(threadId)
+    );
+    this._earlierLoads.set(threadId, load);
+    return load;
+  }
+
+  async _loadEarlier(threadId, chatType) {
+    const page = this.getThreadPage(threadId);
+    this._setThreadPage(threadId, { isLoading: true });
     try {
-      const msgs = await api.listMessages(threadId, chatType);
+      const { items, nextCursor } = await api.listMessages(threadId, chatType, {
+        cursor: page.nextCursor,
+      });
       this.state.messagesById = {
         ...this.state.messagesById,
-        [threadId]: msgs,
+        [threadId]: mergeById(this.getMessages(threadId), items, {
+          prepend: true,
+        }),
       };
+      this._setThreadPage(threadId, { nextCursor, isLoading: false });
       this._emit("messagesById");
-      return msgs;
+      return items;
     } catch (err) {
+      this._setThreadPage(threadId, { isLoading: false });
       this._setError(err);
       throw err;
     }
   }
 
-  async sendMessage(threadId, text, chatType) {
+  // callers that didn't pass a question id mean the latest question
+  _lastQuestionId(threadId) {
+    const list = this.getMessages(threadId);
+    for (let i = list.length - 1; i >= 0; i--)
+      if (list[i].type === "user") return list[i].id;
+    return null;
+  }
+
+  /*
+   * Asks the server about `text`. `questionId` is the message added by
+   * `setMessage`; its status follows the request. Failures are reported on
+   * that message rather than through `lastError`.
+   */
+  async sendMessage(
+    threadId,
+    text,
+    chatType,
+    { questionId, signal, idempotent, onRetry, replaying = false } = {}
+  ) {
+    const qid = questionId ?? this._lastQuestionId(threadId);
+    // offline, or behind questions already waiting: keep the order
+    if (!replaying && (isOffline() || this.state.outbox.length)) {
+      this._queueQuestion(threadId, qid, text, chatType);
+      return;
+    }
+    // streamed tokens land in a draft AI message that the final answer replaces
+    const iso = nowIso();
+    const draftId = `${threadId}-${iso}-a`;
+    const onChunk = (_delta, soFar) =>
+      this._upsertMessage(threadId, {
+        id: draftId,
+        type: "ai",
+        content: soFar,
+        createdAt: iso,
+        streaming: true,
+      });
     try {
-      const msg = await api.sendMessage(threadId, text, chatType);
-      this.state.messagesById = {
-        ...this.state.messagesById,
-        [threadId]: [...(this.state.messagesById[threadId] || []), msg],
-      };
+      const res = await api.sendMessage(threadId, text, chatType, {
+        onChunk,
+        signal,
+        idempotent,
+        onRetry,
+      });
+      const msg = { ...res, id: draftId };
+      this._upsertMessage(threadId, msg);
+      this._setMessageStatus(threadId, qid, "sent", { error: null });
 
       if (chatType === "question") {
         this.state.chats = this.state.chats.map((c) =>
@@ -172,23 +1011,482 @@ class DataService {
         );
         this._emit("chats");
       }
+    } catch (err) {
+      if (api.isAbortError(err)) {
+        // keep whatever streamed in so far, and the question, marked as stopped
+        const draft = this.getMessages(threadId).find((m) => m.id === draftId);
+        if (draft)
+          this._upsertMessage(threadId, {
+            ...draft,
+            streaming: false,
+            status: "stopped",
+          });
+        this._setMessageStatus(threadId, qid, "stopped");
+        throw err;
+      }
+      if (err instanceof api.NetworkError && !err.responded) {
+        // nothing reached the server: the question waits in the outbox
+        this._removeMessage(threadId, draftId);
+        if (replaying) {
+          this._setMessageStatus(threadId, qid, "queued", { error: null });
+          throw err;
+        }
+        this._queueQuestion(threadId, qid, text, chatType);
+        return;
+      }
+      // anything else may have reached the server (a reply that broke off
+      // did), so it isn't replayed; what streamed in stays, and Retry asks again
+      const draft = this.getMessages(threadId).find((m) => m.id === draftId);
+      if (draft)
+        this._upsertMessage(threadId, {
+          ...draft,
+          streaming: false,
+          status: "stopped",
+        });
+      this._setMessageStatus(threadId, qid, "failed", {
+        error: api.describeError(err),
+      });
+      throw err;
+    } finally {
+      // even a stopped or failed send may have reached the server
+      this._invalidateFor("sendMessage", threadId);
+      this._broadcastThread(threadId);
+      if (chatType === "question") this._broadcastChat(threadId);
+    }
+  }
 
-      this._emit("messagesById");
+  // re-sends a failed or stopped question, moved to the end of the thread
+  retryMessage(threadId, questionId, chatType, options = {}) {
+    const question = this.getMessages(threadId).find(
+      (m) => m.id === questionId
+    );
+    if (!question) return Promise.resolve();
+    this._requeueQuestion(threadId, questionId);
+    return this.sendMessage(threadId, question.content, chatType, {
+      ...options,
+      questionId,
+    });
+  }
+
+  /*
+   * Asks an answered question again, optionally reworded (`question`). The
+   * new answer streams into the same message and becomes its latest version;
+   * earlier ones stay reachable through `selectVersion`. If the request fails
+   * or is stopped, the answer goes back to what it was.
+   */
+  async regenerateAnswer(
+    threadId,
+    answerId,
+    chatType,
+    { question, signal, onRetry } = {}
+  ) {
+    const list = this.getMessages(threadId);
+    const idx = list.findIndex((m) => m.id === answerId);
+    const answer = list[idx];
+    const asked = list[idx - 1];
+    if (answer?.type !== "ai" || asked?.type !== "user" || answer.streaming)
+      return;
+    const text = (question ?? asked.content).trim();
+    const versions = answer.versions ?? [versionOf(answer, asked.content)];
+    const draft = (content) =>
+      this._upsertMessage(threadId, {
+        ...answer,
+        content,
+        tags: [],
+        followUps: [],
+        streaming: true,
+        regenerating: answer,
+      });
+    draft("");
+    if (text !== asked.content)
+      this._upsertMessage(threadId, { ...asked, content: text });
+    try {
+      const res = await api.sendMessage(threadId, text, chatType, {
+        onChunk: (_delta, soFar) => draft(soFar),
+        signal,
+        onRetry,
+      });
+      const next = [...versions, versionOf(res, text)];
+      this._upsertMessage(
+        threadId,
+        showVersion({ ...answer, versions: next }, next.length - 1)
+      );
     } catch (err) {
+      this._upsertMessage(threadId, answer);
+      this._upsertMessage(threadId, asked);
+      if (!api.isAbortError(err)) this._setError(err);
+      throw err;
+    } finally {
+      this._invalidateFor("sendMessage", threadId);
+      this._broadcastThread(threadId);
+    }
+  }
+
+  // edits a sent question and regenerates the answer that follows it
+  editQuestion(threadId, questionId, text, chatType, options = {}) {
+    const list = this.getMessages(threadId);
+    const answer = list[list.findIndex((m) => m.id === questionId) + 1];
+    if (answer?.type !== "ai") return Promise.resolve();
+    return this.regenerateAnswer(threadId, answer.id, chatType, {
+      ...options,
+      question: text,
+    });
+  }
+
+  // shows another version of an answer, and the question it answered
+  selectVersion(threadId, answerId, version) {
+    const list = this.getMessages(threadId);
+    const idx = list.findIndex((m) => m.id === answerId);
+    const answer = list[idx];
+    if (!answer?.versions?.[version] || answer.streaming) return;
+    this._upsertMessage(threadId, showVersion(answer, version));
+    const asked = list[idx - 1];
+    if (asked?.type === "user")
+      this._upsertMessage(threadId, {
+        ...asked,
+        content: answer.versions[version].question,
+      });
+    this._broadcastThread(threadId);
+  }
+
+  /*
+   * Feedback: the rating is kept on the answer (and on the version it was
+   * given for) with a `status` of "sending", then "sent" or "failed".
+   * Resubmitting, e.g. to add reasons, replaces the earlier rating.
+   */
+  async rateAnswer(
+    threadId,
+    answerId,
+    chatType,
+    { rating, reasons = [], comment = "" }
+  ) {
+    const list = this.getMessages(threadId);
+    const idx = list.findIndex((m) => m.id === answerId);
+    const answer = list[idx];
+    if (
+      answer?.type !== "ai" ||
+      answer.streaming ||
+      answer.status === "stopped"
+    )
+      return;
+    const asked = list[idx - 1]?.type === "user" ? list[idx - 1] : null;
+    const version = answer.version;
+    const setFeedback = (status) => {
+      const current = this.getMessages(threadId).find((m) => m.id === answerId);
+      if (!current) return;
+      const feedback = { rating, reasons, comment, status };
+      const next = { ...current };
+      if (current.versions)
+        next.versions = current.versions.map((v, i) =>
+          i === version ? { ...v, feedback } : v
+        );
+      if (current.version === version) next.feedback = feedback;
+      this._upsertMessage(threadId, next);
+    };
+    setFeedback("sending");
+    try {
+      await api.submitFeedback({
+        chatId: threadId,
+        // local ids of answers sent here change once the server's copy lands
+        messageId: answer.serverId ?? answerId,
+        chatType,
+        rating,
+        reasons,
+        comment,
+        question: asked?.content ?? "",
+        answer: answer.content,
+        tags: answer.tags ?? [],
+      });
+      setFeedback("sent");
+    } catch (err) {
+      setFeedback("failed");
       this._setError(err);
       throw err;
+    } finally {
+      this._broadcastThread(threadId);
     }
   }
 
+  // the partial answer a failed or stopped send left right after `questionId`
+  _stoppedDraftOf(threadId, questionId) {
+    const list = this.getMessages(threadId);
+    const next = list[list.findIndex((m) => m.id === questionId) + 1];
+    return next?.type === "ai" && next.status === "stopped" ? next : null;
+  }
+
+  /*
+   * Moves a question to the end of its thread (pending) so its answer
+   * follows. A partial answer from the earlier attempt is dropped; the new
+   * one replaces it. Returns the id of the message that used to follow it,
+   * for `_moveMessageBefore` to undo the move.
+   */
+  _requeueQuestion(threadId, questionId) {
+    const question = this.getMessages(threadId).find(
+      (m) => m.id === questionId
+    );
+    if (!question) return;
+    const draft = this._stoppedDraftOf(threadId, questionId);
+    if (draft) this._removeMessage(threadId, draft.id);
+    const list = this.getMessages(threadId);
+    const followedBy = list[list.findIndex((m) => m.id === questionId) + 1];
+    this._removeMessage(threadId, questionId);
+    this._upsertMessage(threadId, {
+      ...question,
+      status: "pending",
+      error: null,
+    });
+    return followedBy?.id ?? null;
+  }
+
+  // puts a message back in front of `beforeId` (last if that one is gone)
+  _moveMessageBefore(threadId, messageId, beforeId) {
+    const list = this.getMessages(threadId);
+    const message = list.find((m) => m.id === messageId);
+    if (!message) return;
+    const rest = list.filter((m) => m.id !== messageId);
+    const at = rest.findIndex((m) => m.id === beforeId);
+    rest.splice(at < 0 ? rest.length : at, 0, message);
+    this.state.messagesById = { ...this.state.messagesById, [threadId]: rest };
+    this._emit("messagesById");
+  }
+
+  // drops an unsent question (and its partial answer), e.g. before it is
+  // edited and sent again
+  discardMessage(threadId, messageId) {
+    const draft = this._stoppedDraftOf(threadId, messageId);
+    if (draft) this._removeMessage(threadId, draft.id);
+    this._removeMessage(threadId, messageId);
+    this._broadcastThread(threadId);
+  }
+
+  // resolves `{ queued: true }` when the file was put in the outbox instead
   async uploadDocument(chatId, file, onProgress) {
+    if (isOffline() || this.state.outbox.length) {
+      this._enqueue({ kind: "upload", threadId: chatId, file });
+      return { queued: true };
+    }
     try {
       const doc = await api.uploadDocument(chatId, file, onProgress);
       return doc;
     } catch (err) {
+      if (err instanceof api.NetworkError) {
+        this._enqueue({ kind: "upload", threadId: chatId, file });
+        return { queued: true };
+      }
       this._setError(err);
       throw err;
     }
   }
+
+  /*
+   * Outbox: questions and uploads that could not go out (offline, or a
+   * network error) wait here, persisted to IndexedDB, and are replayed one by
+   * one in the order they were made once `flushOutbox` runs online. A network
+   * error stops the replay with the rest still queued and, if the browser
+   * still thinks it's online (backend down, VPN), tries again with backoff;
+   * any other failure drops the entry and is reported on the question or
+   * through `lastError`.
+   */
+  _enqueue(entry) {
+    const seq = (this.state.outbox[this.state.outbox.length - 1]?.seq ?? 0) + 1;
+    const item = { ...entry, id: makeUUID(), seq, createdAt: nowIso() };
+    this.state.outbox = [...this.state.outbox, item];
+    this._emit("outbox");
+    this.store.save({ outbox: { [item.id]: item } }).then((saved) => {
+      if (saved) this._savedOutbox.add(item.id);
+    });
+    if (!isOffline()) this.flushOutbox();
+    return item;
+  }
+
+  _dequeue(id) {
+    this.state.outbox = this.state.outbox.filter((x) => x.id !== id);
+    this._emit("outbox");
+    this._savedOutbox.delete(id);
+    this.store.save({ outbox: { [id]: null } });
+  }
+
+  _queueQuestion(threadId, questionId, text, chatType) {
+    this._setMessageStatus(threadId, questionId, "queued", { error: null });
+    this._enqueue({ kind: "question", threadId, questionId, text, chatType });
+  }
+
+  flushOutbox() {
+    if (this._flushing || isOffline()) return this._flushing;
+    clearTimeout(this._replayTimer);
+    this._replayTimer = null;
+    // one tab replays at a time; entries another tab already sent are skipped
+    this._flushing = withLock("insight-chat:outbox", () => this._replay())
+      .then(() => {
+        this._replayAttempt = 0;
+      })
+      .catch(() => {
+        // entries stay queued; offline waits for the "online" event instead
+        if (!isOffline()) this._scheduleReplay();
+      })
+      .finally(() => {
+        this._flushing = null;
+      });
+    return this._flushing;
+  }
+
+  _scheduleReplay() {
+    const delay = Math.min(
+      REPLAY_MAX_DELAY_MS,
+      REPLAY_BASE_DELAY_MS * 2 ** this._replayAttempt++
+    );
+    this._replayTimer = setTimeout(() => this.flushOutbox(), delay);
+  }
+
+  async _replay() {
+    while (this.state.outbox.length && !isOffline()) {
+      const item = this.state.outbox[0];
+      // gone from IndexedDB after we saved it: another tab sent it. An entry
+      // that never got saved lives in memory only and is sent from here
+      const persisted = await this.store.outboxIds();
+      if (
+        persisted &&
+        this._savedOutbox.has(item.id) &&
+        !persisted.has(item.id)
+      ) {
+        this._dequeue(item.id);
+        continue;
+      }
+      let followedBy = null;
+      try {
+        if (item.kind === "question") {
+          followedBy = this._requeueQuestion(item.threadId, item.questionId);
+          await this.sendMessage(item.threadId, item.text, item.chatType, {
+            questionId: item.questionId,
+            replaying: true,
+          });
+        } else {
+          await api.uploadDocument(item.threadId, item.file);
+        }
+      } catch (err) {
+        // unreachable again: stop here and keep the entry; a question whose
+        // reply broke off was received, so it is failed rather than resent
+        if (err instanceof api.NetworkError && !err.responded) {
+          // back in its place, so the thread keeps the outbox's order
+          if (item.kind === "question")
+            this._moveMessageBefore(item.threadId, item.questionId, followedBy);
+          throw err;
+        }
+        if (item.kind === "upload") this._setError(err);
+      }
+      this._dequeue(item.id);
+    }
+  }
+
+  /*
+   * Insights refresh: a feed (polling by default, SSE/WebSocket when
+   * configured) delivers new or updated insights while the app is open.
+   * Updates replace the row in place; unseen ids are prepended and listed in
+   * `meta.newInsightIds` until `acknowledgeNewInsights()`.
+   */
+  startInsightRefresh(feed = this._configuredFeed()) {
+    this.stopInsightRefresh();
+    this._insightFeed = feed;
+    feed.start((items) => this._mergeInsights(items));
+  }
+
+  stopInsightRefresh() {
+    this._insightFeed?.stop();
+    this._insightFeed = null;
+  }
+
+  _configuredFeed() {
+    const { mode, intervalMs, path } = getInsightsFeedConfig();
+    let url = path ? `${getApiBase()}${path}` : null;
+    if (url && mode === "ws") url = url.replace(/^http/, "ws");
+    return createInsightFeed(
+      { mode, intervalMs, url },
+      {
+        poll: () => this.pollInsights(),
+        parse: (raw) => api.parseInsights(raw),
+      }
+    );
+  }
+
+  // first page if it changed since the last poll, else []
+  async pollInsights() {
+    const validators = this._insightValidators;
+    const conditional =
+      this._conditionalPolls && (validators.etag || validators.lastModified);
+    let res;
+    try {
+      res = await api.pollInsights(conditional ? validators : {});
+    } catch (err) {
+      if (!conditional || !(err instanceof api.NetworkError)) throw err;
+      // a cross-origin API whose preflight doesn't allow If-None-Match fails
+      // like the network; if the plain request works, stop sending them
+      res = await api.pollInsights({});
+      this._conditionalPolls = false;
+    }
+    this._insightValidators = res.validators;
+    return res.notModified ? [] : res.items;
+  }
+
+  _mergeInsights(items) {
+    const current = new Map(this.state.insights.map((x) => [x.id, x]));
+    const added = items.filter((x) => !current.has(x.id));
+    const updated = new Map(
+      items
+        .filter((x) => current.has(x.id))
+        .filter((x) => current.get(x.id).updatedAt !== x.updatedAt)
+        .map((x) => [x.id, x])
+    );
+    if (!added.length && !updated.size) return;
+    this.state.insights = [
+      ...added,
+      ...this.state.insights.map((x) => updated.get(x.id) ?? x),
+    ];
+    this.cache.invalidate(keys.insights());
+    this._emit("insights");
+    if (added.length)
+      this._setMeta({
+        newInsightIds: [
+          ...added.map((x) => x.id),
+          ...this.state.meta.newInsightIds,
+        ],
+      });
+  }
+
+  acknowledgeNewInsights() {
+    if (this.state.meta.newInsightIds.length)
+      this._setMeta({ newInsightIds: [] });
+  }
+
+  /*
+   * Read state: last-seen times per thread plus a floor per list, kept in
+   * localStorage and shared with other tabs. Unread is derived from it with
+   * `isUnread()` in ./last-seen; nothing else in the state carries it.
+   */
+  _setLastSeen(incoming, broadcast = true) {
+    this.state.lastSeen = mergeLastSeen(this.state.lastSeen, incoming);
+    writeLastSeen(this.state.lastSeen);
+    this._emit("lastSeen");
+    if (broadcast) this._sync.post({ kind: "seen", lastSeen: incoming });
+  }
+
+  markSeen(threadId) {
+    const item =
+      this.state.chats.find((c) => c.id === threadId) ??
+      this.state.insights.find((x) => x.id === threadId);
+    this._setLastSeen({
+      floors: { chats: 0, insights: 0 },
+      byId: { [threadId]: seenAt(item) },
+    });
+  }
+
+  // "chats" or "insights"; covers pages that aren't loaded yet too
+  markAllSeen(kind) {
+    const floor = Math.max(...this.state[kind].map(seenAt), Date.now());
+    this._setLastSeen({
+      floors: { chats: 0, insights: 0, [kind]: floor },
+      byId: {},
+    });
+  }
 }
 
 const dataService = new DataService();
@@ -0,0 +1,124 @@
+/**
+ * Sources of new/updated insights for DataService. Every feed has the same
+ * shape, `{ start(onInsights), stop() }`, where `onInsights` receives a list
+ * of parsed insights. Push feeds hand each message's JSON to `parse`, which
+ * may throw on records it doesn't recognise; those messages are dropped.
+ *
+ * - polling: calls `poll()` every `intervalMs`, skipping hidden tabs and
+ *   offline periods, and once right away when the tab becomes visible again.
+ * - sse: an EventSource on `url`; "insight" and plain "message" events carry
+ *   JSON. The browser reconnects on its own.
+ * - ws: a WebSocket on `url` with JSON messages, reopened with backoff.
+ *
+ * Push feeds can't send an Authorization header, so their endpoint has to
+ * accept cookies (`withCredentials`) or be public.
+ */
+
+const isHidden = () =>
+  typeof document !== "undefined" && document.visibilityState === "hidden";
+const isOffline = () =>
+  typeof navigator !== "undefined" && navigator.onLine === false;
+
+const parseMessage = (text, parse) => {
+  try {
+    return parse(JSON.parse(text));
+  } catch (err) {
+    if (import.meta.env.DEV)
+      console.warn("[insight-feed] ignored a malformed message", err);
+    return [];
+  }
+};
+
+export function pollingFeed({ intervalMs, poll }) {
+  let timer = null;
+  let running = false;
+  const tick = async (onInsights) => {
+    if (isHidden() || isOffline()) return;
+    try {
+      const items = await poll();
+      if (running && items?.length) onInsights(items);
+    } catch {
+      /* a failed poll just waits for the next tick */
+    }
+  };
+  let onVisible = null;
+  return {
+    start(onInsights) {
+      running = true;
+      timer = setInterval(() => tick(onInsights), intervalMs);
+      onVisible = () => !isHidden() && tick(onInsights);
+      document.addEventListener("visibilitychange", onVisible);
+    },
+    stop() {
+      running = false;
+      clearInterval(timer);
+      if (onVisible)
+        document.removeEventListener("visibilitychange", onVisible);
+    },
+  };
+}
+
+export function sseFeed({ url, parse }) {
+  let source = null;
+  return {
+    start(onInsights) {
+      source = new EventSource(url, { withCredentials: true });
+      const onEvent = (e) => {
+        const items = parseMessage(e.data, parse);
+        if (items.length) onInsights(items);
+      };
+      source.addEventListener("insight", onEvent);
+      source.onmessage = onEvent;
+    },
+    stop() {
+      source?.close();
+      source = null;
+    },
+  };
+}
+
+export function webSocketFeed({ url, parse, maxDelayMs = 30 * 1000 }) {
+  let socket = null;
+  let retryTimer = null;
+  let attempt = 0;
+  let stopped = true;
+  const open = (onInsights) => {
+    socket = new WebSocket(url);
+    socket.onopen = () => {
+      attempt = 0;
+    };
+    socket.onmessage = (e) => {
+      const items = parseMessage(e.data, parse);
+      if (items.length) onInsights(items);
+    };
+    socket.onclose = () => {
+      if (stopped) return;
+      const delay = Math.min(maxDelayMs, 1000 * 2 ** attempt++);
+      retryTimer = setTimeout(() => open(onInsights), delay);
+    };
+  };
+  return {
+    start(onInsights) {
+      stopped = false;
+      open(onInsights);
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(retryTimer);
+      socket?.close();
+      socket = null;
+    },
+  };
+}
+
+/**
+ * Feed for `getInsightsFeedConfig()`. Push modes fall back to polling when
+ * no endpoint is configured or the browser lacks the transport.
+ */
+export function createInsightFeed({ mode, intervalMs, url }, { poll, parse }) {
+  if (mode === "sse" && url && typeof EventSource !== "undefined")
+    return sseFeed({ url, parse });
+  if (mode === "ws" && url && typeof WebSocket !== "undefined")
+    return webSocketFeed({ url, parse });
+  return pollingFeed({ intervalMs, poll });
+}
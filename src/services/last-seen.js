@@ -0,0 +1,69 @@
+/**
+ * Read state for chats and insights, kept in localStorage.
+ *
+ * `{ floors: { chats, insights }, byId: { [threadId]: ms } }`: an item is
+ * unread when its `updatedAt` is later than both its own last-seen time and
+ * the floor of its list. The floors start at the first visit (so existing
+ * history doesn't all show as unread) and move up on "mark all as read".
+ * Times only ever increase, so two states merge by taking the max of each.
+ */
+
+const STORAGE_KEY = "insight-chat:last-seen";
+
+const time = (v) => (v == null ? 0 : new Date(v).getTime() || 0);
+
+export const emptyLastSeen = (now = Date.now()) => ({
+  floors: { chats: now, insights: now },
+  byId: {},
+});
+
+export function readLastSeen() {
+  try {
+    const raw = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (raw?.floors && raw?.byId) return raw;
+  } catch {
+    /* unreadable — start over */
+  }
+  return emptyLastSeen();
+}
+
+export function writeLastSeen(value) {
+  try {
+    if (value) localStorage.setItem(STORAGE_KEY, JSON.stringify(value));
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    /* storage unavailable — read state lasts for this tab only */
+  }
+}
+
+// per-item times at or below their list's floor say nothing; drop them
+function prune({ floors, byId }) {
+  const floor = Math.min(floors.chats, floors.insights);
+  return {
+    floors,
+    byId: Object.fromEntries(Object.entries(byId).filter(([, t]) => t > floor)),
+  };
+}
+
+export function mergeLastSeen(a, b) {
+  const byId = { ...a.byId };
+  for (const [id, t] of Object.entries(b.byId))
+    byId[id] = Math.max(byId[id] ?? 0, t);
+  return prune({
+    floors: {
+      chats: Math.max(a.floors.chats, b.floors.chats),
+      insights: Math.max(a.floors.insights, b.floors.insights),
+    },
+    byId,
+  });
+}
+
+/** `kind` is "chats" or "insights". Pending rows are never unread. */
+export function isUnread(item, kind, lastSeen) {
+  if (item.pending) return false;
+  const seen = Math.max(lastSeen.floors[kind], lastSeen.byId[item.id] ?? 0);
+  return time(item.updatedAt) > seen;
+}
+
+// the time to record for having looked at `item` now
+export const seenAt = (item) => Math.max(Date.now(), time(item?.updatedAt));
@@ -0,0 +1,129 @@
+/**
+ * IndexedDB persistence for the data layer's lists and threads.
+ *
+ * Three object stores: "lists" holds the insights/chats arrays under their
+ * state key, "threads" holds `{ messages, nextCursor }` per thread id, and
+ * "outbox" holds unsent questions/uploads (files included) by entry id. Every
+ * call degrades to a no-op where IndexedDB is unavailable (private mode,
+ * old browsers, SSR) — persistence is a speed-up, never a requirement.
+ */
+
+const DB_NAME = "insight-chat";
+const DB_VERSION = 2;
+const LISTS = "lists";
+const THREADS = "threads";
+const OUTBOX = "outbox";
+const STORES = [LISTS, THREADS, OUTBOX];
+
+const promisify = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+function openDb() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  const req = indexedDB.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = () => {
+    const db = req.result;
+    if (!db.objectStoreNames.contains(LISTS)) db.createObjectStore(LISTS);
+    if (!db.objectStoreNames.contains(THREADS)) db.createObjectStore(THREADS);
+    if (!db.objectStoreNames.contains(OUTBOX)) db.createObjectStore(OUTBOX);
+  };
+  return promisify(req).catch((err) => {
+    if (import.meta.env.DEV)
+      console.warn("[persistence] IndexedDB unavailable", err);
+    return null;
+  });
+}
+
+const done = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+export function createIdbStore() {
+  let dbPromise = null;
+  const db = () => (dbPromise ??= openDb());
+
+  return {
+    // -> { lists, threads: { [id]: record }, outbox: [entry, ...] }
+    async load() {
+      const conn = await db();
+      if (!conn) return null;
+      try {
+        const tx = conn.transaction(STORES, "readonly");
+        const [listKeys, listValues, threadKeys, threadValues, outbox] =
+          await Promise.all([
+            promisify(tx.objectStore(LISTS).getAllKeys()),
+            promisify(tx.objectStore(LISTS).getAll()),
+            promisify(tx.objectStore(THREADS).getAllKeys()),
+            promisify(tx.objectStore(THREADS).getAll()),
+            promisify(tx.objectStore(OUTBOX).getAll()),
+          ]);
+        const zip = (keys, values) =>
+          Object.fromEntries(keys.map((k, i) => [k, values[i]]));
+        return {
+          lists: zip(listKeys, listValues),
+          threads: zip(threadKeys, threadValues),
+          outbox: outbox.sort((a, b) => a.seq - b.seq),
+        };
+      } catch (err) {
+        if (import.meta.env.DEV) console.warn("[persistence] load failed", err);
+        return null;
+      }
+    },
+
+    // entry ids currently persisted; null when IndexedDB is unavailable
+    async outboxIds() {
+      const conn = await db();
+      if (!conn) return null;
+      try {
+        const tx = conn.transaction(OUTBOX, "readonly");
+        return new Set(await promisify(tx.objectStore(OUTBOX).getAllKeys()));
+      } catch (err) {
+        if (import.meta.env.DEV)
+          console.warn("[persistence] outbox read failed", err);
+        return null;
+      }
+    },
+
+    // `threads` and `outbox` map id -> record to write, or null to delete it;
+    // resolves whether the write went through
+    async save({ lists = {}, threads = {}, outbox = {} }) {
+      const conn = await db();
+      if (!conn) return false;
+      try {
+        const tx = conn.transaction(STORES, "readwrite");
+        for (const [key, value] of Object.entries(lists))
+          tx.objectStore(LISTS).put(value, key);
+        for (const [id, record] of Object.entries(threads))
+          if (record) tx.objectStore(THREADS).put(record, id);
+          else tx.objectStore(THREADS).delete(id);
+        for (const [id, entry] of Object.entries(outbox))
+          if (entry) tx.objectStore(OUTBOX).put(entry, id);
+          else tx.objectStore(OUTBOX).delete(id);
+        await done(tx);
+        return true;
+      } catch (err) {
+        if (import.meta.env.DEV) console.warn("[persistence] save failed", err);
+        return false;
+      }
+    },
+
+    async clear() {
+      const conn = await db();
+      if (!conn) return;
+      try {
+        const tx = conn.transaction(STORES, "readwrite");
+        for (const name of STORES) tx.objectStore(name).clear();
+        await done(tx);
+      } catch (err) {
+        if (import.meta.env.DEV)
+          console.warn("[persistence] clear failed", err);
+      }
+    },
+  };
+}
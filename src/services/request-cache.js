@@ -0,0 +1,93 @@
+/**
+ * Stale-while-revalidate cache for read requests, keyed by endpoint + params.
+ *
+ * - `fetch(key, fetcher)` always hits the network, but callers asking for the
+ *   same key while a request is in flight share its promise.
+ * - `swr(key, fetcher, { ttlMs, onRevalidate })` resolves with the cached
+ *   value when there is one; once it is older than `ttlMs` a background
+ *   refetch runs and its result is handed to `onRevalidate`.
+ * - `invalidate(prefix)` forgets every key under an endpoint, so the next read
+ *   goes to the server. Results of requests started before an invalidation
+ *   are not stored.
+ */
+
+export const DEFAULT_TTL_MS = 30 * 1000;
+
+// "/chats/42" + { chatType: "question" } -> "/chats/42?chatType=question"
+export function cacheKey(endpoint, params = {}) {
+  const query = Object.keys(params)
+    .filter((k) => params[k] != null)
+    .sort()
+    .map((k) => `${k}=${params[k]}`)
+    .join("&");
+  return query ? `${endpoint}?${query}` : endpoint;
+}
+
+const matches = (key, prefix) =>
+  key === prefix ||
+  key.startsWith(`${prefix}?`) ||
+  key.startsWith(`${prefix}/`);
+
+export default class RequestCache {
+  constructor({ ttlMs = DEFAULT_TTL_MS } = {}) {
+    this.ttlMs = ttlMs;
+    this.entries = new Map(); // key -> { value, fetchedAt }
+    this.inflight = new Map(); // key -> promise
+  }
+
+  peek(key) {
+    return this.entries.get(key);
+  }
+
+  isStale(key, ttlMs = this.ttlMs) {
+    const hit = this.entries.get(key);
+    return !hit || Date.now() - hit.fetchedAt >= ttlMs;
+  }
+
+  fetch(key, fetcher) {
+    const pending = this.inflight.get(key);
+    if (pending) return pending;
+
+    const promise = Promise.resolve()
+      .then(fetcher)
+      .then(
+        (value) => {
+          // an invalidation mid-flight means this answer may already be old
+          if (this.inflight.get(key) === promise) {
+            this.entries.set(key, { value, fetchedAt: Date.now() });
+            this.inflight.delete(key);
+          }
+          return value;
+        },
+        (err) => {
+          if (this.inflight.get(key) === promise) this.inflight.delete(key);
+          throw err;
+        }
+      );
+    this.inflight.set(key, promise);
+    return promise;
+  }
+
+  async swr(key, fetcher, { ttlMs = this.ttlMs, onRevalidate } = {}) {
+    const hit = this.entries.get(key);
+    if (!hit) return this.fetch(key, fetcher);
+    if (this.isStale(key, ttlMs))
+      this.fetch(key, fetcher).then(onRevalidate, () => {
+        /* keep serving the stale value; the next read tries again */
+      });
+    return hit.value;
+  }
+
+  // pass an endpoint ("/chats/") to drop it and everything below it
+  invalidate(prefix) {
+    for (const key of [...this.entries.keys()])
+      if (matches(key, prefix)) this.entries.delete(key);
+    for (const key of [...this.inflight.keys()])
+      if (matches(key, prefix)) this.inflight.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+    this.inflight.clear();
+  }
+}
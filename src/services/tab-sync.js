@@ -0,0 +1,47 @@
+/**
+ * Messaging between tabs of the same origin. Uses BroadcastChannel where it
+ * exists and falls back to `storage` events (write + remove of one
+ * localStorage key), which every other tab sees. Messages must be JSON-safe.
+ * Neither transport echoes a message back to the tab that sent it.
+ */
+
+const CHANNEL = "insight-chat:sync";
+
+const noop = { post() {}, close() {} };
+
+export function createTabSync(onMessage, { name = CHANNEL } = {}) {
+  if (typeof BroadcastChannel !== "undefined") {
+    const channel = new BroadcastChannel(name);
+    channel.onmessage = (e) => onMessage(e.data);
+    return {
+      post: (msg) => channel.postMessage(msg),
+      close: () => channel.close(),
+    };
+  }
+
+  if (typeof window === "undefined" || !window.localStorage) return noop;
+  const onStorage = (e) => {
+    if (e.key !== name || !e.newValue) return; // the removal half
+    try {
+      onMessage(JSON.parse(e.newValue).msg);
+    } catch {
+      /* not ours */
+    }
+  };
+  window.addEventListener("storage", onStorage);
+  return {
+    post(msg) {
+      try {
+        // the nonce makes repeated identical messages still count as a change
+        localStorage.setItem(
+          name,
+          JSON.stringify({ msg, nonce: Math.random() })
+        );
+        localStorage.removeItem(name);
+      } catch (err) {
+        if (import.meta.env.DEV) console.warn("[tab-sync] could not post", err);
+      }
+    },
+    close: () => window.removeEventListener("storage", onStorage),
+  };
+}
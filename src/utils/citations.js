@@ -0,0 +1,86 @@
+/**
+ * Inline citations in answers. `[1]` points at the first entry of the
+ * answer's `tags`, `[^doc]` at the tag whose id or name matches "doc".
+ * Markers that match no tag are left as plain text.
+ */
+
+const MARKER = /\[(\d{1,3})\]|\[\^([^\]\s]+)\]/g;
+
+const slug = (s = "") =>
+  s
+    .toLowerCase()
+    .replace(/\.[a-z0-9]+$/, "") // file extension
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+// 0-based tag index for a marker, or -1
+function resolve(number, key, tags) {
+  if (number) {
+    const i = Number(number) - 1;
+    return i >= 0 && i < tags.length ? i : -1;
+  }
+  const wanted = slug(key);
+  return tags.findIndex(
+    (t) => (t.id && t.id === key) || slug(t.name) === wanted
+  );
+}
+
+// fenced blocks (an unclosed one runs to the end) and inline code spans
+const CODE = [
+  /^ {0,3}(`{3,}|~{3,}).*$[\s\S]*?(?:^ {0,3}\1.*$|(?![\s\S]))/gm,
+  /(`+)(?!`)[\s\S]*?[^`]\1(?!`)/g,
+];
+
+/**
+ * Tag indexes cited anywhere in `content`, in tag order. Markers inside code
+ * don't count, as `remarkCitations` leaves them alone.
+ */
+export function citedIndexes(content, tags) {
+  const cited = new Set();
+  const prose = CODE.reduce((s, re) => s.replace(re, " "), content || "");
+  for (const [, number, key] of prose.matchAll(MARKER)) {
+    const i = resolve(number, key, tags);
+    if (i >= 0) cited.add(i);
+  }
+  return [...cited].sort((a, b) => a - b);
+}
+
+// text node -> text and citation nodes; null when it has no known marker
+function splitText(node, tags) {
+  const out = [];
+  let last = 0;
+  for (const match of node.value.matchAll(MARKER)) {
+    const i = resolve(match[1], match[2], tags);
+    if (i < 0) continue;
+    if (match.index > last)
+      out.push({ type: "text", value: node.value.slice(last, match.index) });
+    out.push({
+      type: "citation",
+      data: { hName: "sup", hProperties: { dataCite: i } },
+      children: [{ type: "text", value: String(i + 1) }],
+    });
+    last = match.index + match[0].length;
+  }
+  if (!out.length) return null;
+  if (last < node.value.length)
+    out.push({ type: "text", value: node.value.slice(last) });
+  return out;
+}
+
+/**
+ * Remark plugin: turns known markers into `<sup data-cite={index}>` elements
+ * for the `sup` renderer to pick up. Code is left alone.
+ */
+export function remarkCitations({ tags = [] } = {}) {
+  const walk = (node) => {
+    if (!node.children || node.type === "code" || node.type === "inlineCode")
+      return;
+    node.children = node.children.flatMap((child) => {
+      if (child.type === "text" && tags.length)
+        return splitText(child, tags) ?? [child];
+      walk(child);
+      return [child];
+    });
+  };
+  return (tree) => walk(tree);
+}
@@ -0,0 +1,147 @@
+/**
+ * Small regex highlighter for code blocks in answers. It knows comments,
+ * strings, numbers and keywords for the languages answers tend to use; that is
+ * enough to make code readable without shipping a full grammar library.
+ * C-family languages share the JavaScript rules; unknown languages come back
+ * as a single plain token.
+ */
+
+const words = (s) => new Set(s.split(" "));
+
+const C_COMMENTS = [String.raw`\/\/[^\n]*`, String.raw`\/\*[\s\S]*?(?:\*\/|$)`];
+const HASH_COMMENT = [String.raw`#[^\n]*`];
+const QUOTES = [
+  String.raw`"(?:[^"\\\n]|\\.)*"?`,
+  String.raw`'(?:[^'\\\n]|\\.)*'?`,
+];
+
+const JS = {
+  comments: C_COMMENTS,
+  strings: [...QUOTES, String.raw`\x60(?:[^\x60\\]|\\[\s\S])*\x60?`],
+  keywords: words(
+    "async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof interface let new null of return static super switch this throw true try type typeof undefined var void while yield"
+  ),
+};
+
+const LANGUAGES = {
+  js: JS,
+  python: {
+    comments: HASH_COMMENT,
+    strings: [
+      String.raw`[rbfu]{0,2}"""[\s\S]*?(?:"""|$)`,
+      String.raw`[rbfu]{0,2}'''[\s\S]*?(?:'''|$)`,
+      ...QUOTES,
+    ],
+    keywords: words(
+      "and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return True try while with yield"
+    ),
+  },
+  sql: {
+    comments: [String.raw`--[^\n]*`, String.raw`\/\*[\s\S]*?(?:\*\/|$)`],
+    strings: QUOTES,
+    caseInsensitive: true,
+    keywords: words(
+      "add all alter and as asc between by case create delete desc distinct drop else end exists from full group having in inner insert into is join left like limit not null offset on or order outer right select set table then union update values when where with"
+    ),
+  },
+  bash: {
+    comments: HASH_COMMENT,
+    strings: QUOTES,
+    keywords: words(
+      "case do done elif else esac export fi for function if in local return then until while"
+    ),
+  },
+  json: {
+    comments: [],
+    strings: QUOTES,
+    keywords: words("true false null"),
+  },
+  yaml: {
+    comments: HASH_COMMENT,
+    strings: QUOTES,
+    keywords: words("true false null yes no on off"),
+  },
+};
+
+const ALIASES = {
+  javascript: "js",
+  jsx: "js",
+  ts: "js",
+  tsx: "js",
+  typescript: "js",
+  java: "js",
+  c: "js",
+  cpp: "js",
+  csharp: "js",
+  cs: "js",
+  go: "js",
+  py: "python",
+  sh: "bash",
+  shell: "bash",
+  zsh: "bash",
+  postgres: "sql",
+  postgresql: "sql",
+  mysql: "sql",
+  yml: "yaml",
+};
+
+const grammarFor = (lang = "") => {
+  const key = lang.toLowerCase();
+  return LANGUAGES[ALIASES[key] ?? key] ?? null;
+};
+
+// one alternation per grammar: comment | string | number | word
+const patterns = new Map();
+function patternFor(grammar) {
+  if (!patterns.has(grammar)) {
+    const group = (list) => (list.length ? list.join("|") : "(?!)");
+    patterns.set(
+      grammar,
+      new RegExp(
+        `(${group(grammar.comments)})|(${group(grammar.strings)})` +
+          String.raw`|(\b(?:0x[\da-fA-F]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)\b)` +
+          String.raw`|([A-Za-z_$][\w$]*)`,
+        "g"
+      )
+    );
+  }
+  return patterns.get(grammar);
+}
+
+/** Whether `lang` gets real highlighting (others render as plain text). */
+export const isHighlighted = (lang) => grammarFor(lang) != null;
+
+/**
+ * `[{ type, text }]` covering all of `code`, where `type` is "plain",
+ * "comment", "string", "number" or "keyword".
+ */
+export function highlight(code, lang) {
+  const grammar = grammarFor(lang);
+  if (!grammar) return [{ type: "plain", text: code }];
+  const out = [];
+  const push = (type, text) => {
+    const last = out[out.length - 1];
+    if (last?.type === type) last.text += text;
+    else out.push({ type, text });
+  };
+  let last = 0;
+  for (const m of code.matchAll(patternFor(grammar))) {
+    if (m.index > last) push("plain", code.slice(last, m.index));
+    const [text, comment, string, number, word] = m;
+    if (comment) push("comment", text);
+    else if (string) push("string", text);
+    else if (number) push("number", text);
+    else
+      push(
+        grammar.keywords.has(
+          grammar.caseInsensitive ? word.toLowerCase() : word
+        )
+          ? "keyword"
+          : "plain",
+        text
+      );
+    last = m.index + text.length;
+  }
+  if (last < code.length) push("plain", code.slice(last));
+  return out;
+}